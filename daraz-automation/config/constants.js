@@ -4,9 +4,48 @@
 // expected brands, and timing values across all tests.
 // ─────────────────────────────────────────────────────────────────────────────
 
+// ── Target site ─────────────────────────────────────────────────────────────
+// DARAZ_SITE=live (default) runs against daraz.pk; DARAZ_SITE=local runs
+// against the bundled offline storefront in mock-site/, which Playwright starts
+// through the `webServer` entry in playwright.config.js.
+const SITE       = (process.env.DARAZ_SITE || 'live').toLowerCase();
+const LOCAL_PORT = Number(process.env.MOCK_SITE_PORT) || 4173;
+const SITE_URLS  = {
+  live:  'https://www.daraz.pk',
+  local: `http://127.0.0.1:${LOCAL_PORT}`,
+};
+
+if (!SITE_URLS[SITE]) {
+  throw new Error(`Unknown DARAZ_SITE "${SITE}" — expected one of: ${Object.keys(SITE_URLS).join(', ')}`);
+}
+
+// daraz.pk serves the cart from its own subdomain
+const CART_URLS = {
+  live:  'https://cart.daraz.pk/cart',
+  local: `${SITE_URLS.local}/cart/`,
+};
+
+// ── HAR record / replay ─────────────────────────────────────────────────────
+// HAR_MODE=record captures every network exchange of HAR-enabled tests into
+// hars/; HAR_MODE=replay serves them back without touching the network.
+const HAR_MODE  = (process.env.HAR_MODE || 'off').toLowerCase();
+const HAR_MODES = ['off', 'record', 'replay'];
+
+if (!HAR_MODES.includes(HAR_MODE)) {
+  throw new Error(`Unknown HAR_MODE "${HAR_MODE}" — expected one of: ${HAR_MODES.join(', ')}`);
+}
+
 module.exports = {
   // ── URLs ──────────────────────────────────────────────────────────────────
-  BASE_URL: 'https://www.daraz.pk',
+  SITE,
+  SITE_URLS,
+  LOCAL_PORT,
+  BASE_URL: SITE_URLS[SITE],
+  CART_URL: CART_URLS[SITE],
+
+  // ── HAR archives ──────────────────────────────────────────────────────────
+  HAR_MODE,
+  HAR_MAX_AGE_DAYS: Number(process.env.HAR_MAX_AGE_DAYS) || 30,  // replay warns past this age
 
   // ── Search ────────────────────────────────────────────────────────────────
   SEARCH_TERM: 'electronics',
@@ -20,6 +59,26 @@ module.exports = {
   // The automation will try each in order and use the first one found.
   TARGET_BRANDS: ['Samsung', 'Xiaomi', 'Audionic', 'Anker', 'Sony'],
 
+  // ── Delivery locations ───────────────────────────────────────────────────
+  // Addresses the shipping matrix checks: a metro in each region plus a city
+  // outside the main free-shipping zone
+  DELIVERY_LOCATIONS: [
+    { province: 'Sindh',              city: 'Karachi',   area: 'Clifton' },
+    { province: 'Punjab',             city: 'Lahore',    area: 'Gulberg' },
+    { province: 'Islamabad Capital',  city: 'Islamabad', area: 'F-7' },
+    { province: 'Khyber Pakhtunkhwa', city: 'Peshawar',  area: 'Hayatabad' },
+  ],
+
+  // ── Sort orders ───────────────────────────────────────────────────────────
+  // Key → Daraz `sort` URL value and the label shown in the "Sort By" dropdown
+  SORT_OPTIONS: {
+    'best-match': { param: 'popularity', label: 'Best Match' },
+    'price-asc':  { param: 'priceasc',   label: 'Price low to high' },
+    'price-desc': { param: 'pricedesc',  label: 'Price high to low' },
+    'top-rated':  { param: 'ratingdesc', label: 'Top Rated' },
+    'newest':     { param: 'newest',     label: 'Newest' },
+  },
+
   // ── Validation thresholds ─────────────────────────────────────────────────
   MIN_PRODUCT_COUNT: 1,          // Products must be > 0 after filtering
 
@@ -30,5 +89,6 @@ module.exports = {
   RESULTS_WAIT:          4_000,  // wait for search results to update
 
   // ── Text markers (used in assertions) ────────────────────────────────────
-  FREE_SHIPPING_KEYWORDS: ['free shipping', 'free delivery', 'free'],
+  // Whole phrases only — a bare 'free' also matches "free gift", vouchers, etc.
+  FREE_SHIPPING_KEYWORDS: ['free shipping', 'free delivery'],
 };
@@ -0,0 +1,639 @@
+// mock-site/catalog.js
+// ─────────────────────────────────────────────────────────────────────────────
+// Product data and query logic for the offline Daraz stand-in storefront.
+// Prices are in PKR. Every product carries just enough detail for the page
+// objects to exercise the same flows they run against daraz.pk.
+// ─────────────────────────────────────────────────────────────────────────────
+
+// Facet values and product URLs use the same slugs as the live catalog URLs
+const { slug: slugify } = require('../utils/CatalogQuery');
+
+const PRODUCTS = [
+  // ── Electronic Devices ─────────────────────────────────────────────────────
+  { id: 101, title: 'Samsung Galaxy A15 6GB RAM 128GB Storage',  brand: 'Samsung',  category: ['Electronic Devices', 'Smartphones'],    price: 45999,  originalPrice: 49999,  rating: 4.6, reviews: 312, location: 'Karachi',   freeShipping: true,  cod: true,  lazMall: true  },
+  { id: 102, title: 'Samsung Galaxy A05 4GB RAM 64GB Storage',   brand: 'Samsung',  category: ['Electronic Devices', 'Smartphones'],    price: 27999,  originalPrice: 29999,  rating: 4.4, reviews: 158, location: 'Lahore',    freeShipping: true,  cod: true,  lazMall: true  },
+  { id: 103, title: 'Xiaomi Redmi 13C 6GB RAM 128GB',            brand: 'Xiaomi',   category: ['Electronic Devices', 'Smartphones'],    price: 31999,  originalPrice: 31999,  rating: 4.5, reviews: 421, location: 'Karachi',   freeShipping: true,  cod: true,  lazMall: true  },
+  { id: 104, title: 'Xiaomi Redmi Note 13 8GB RAM 256GB',        brand: 'Xiaomi',   category: ['Electronic Devices', 'Smartphones'],    price: 58999,  originalPrice: 62999,  rating: 4.7, reviews: 97,  location: 'Islamabad', freeShipping: true,  cod: true,  lazMall: true  },
+  { id: 105, title: 'Infinix Hot 40i 8GB RAM 128GB',             brand: 'Infinix',  category: ['Electronic Devices', 'Smartphones'],    price: 29999,  originalPrice: 34999,  rating: 4.3, reviews: 205, location: 'Lahore',    freeShipping: false, cod: true,  lazMall: false, sponsored: true },
+  { id: 106, title: 'Xiaomi Redmi Watch 3 Active Smart Watch',   brand: 'Xiaomi',   category: ['Electronic Devices', 'Smart Watches'],  price: 8999,   originalPrice: 11999,  rating: 4.5, reviews: 640, location: 'Karachi',   freeShipping: true,  cod: true,  lazMall: true  },
+  { id: 107, title: 'Samsung Galaxy Fit3 Fitness Band',          brand: 'Samsung',  category: ['Electronic Devices', 'Smart Watches'],  price: 14999,  originalPrice: 16999,  rating: 4.6, reviews: 54,  location: 'Karachi',   freeShipping: true,  cod: true,  lazMall: true  },
+  { id: 108, title: 'Lenovo IdeaPad 3 Core i5 12th Gen 8GB 512GB SSD', brand: 'Lenovo', category: ['Electronic Devices', 'Laptops'],   price: 129999, originalPrice: 139999, rating: 4.4, reviews: 23,  location: 'Lahore',    freeShipping: true,  cod: false, lazMall: true,  stock: 0 },
+  { id: 109, title: 'HP 250 G9 Core i3 12th Gen 8GB 256GB SSD',  brand: 'HP',       category: ['Electronic Devices', 'Laptops'],        price: 119999, originalPrice: 119999, rating: 4.2, reviews: 11,  location: 'Islamabad', freeShipping: false, cod: false, lazMall: false },
+
+  // ── Electronic Accessories ─────────────────────────────────────────────────
+  { id: 201, title: 'Audionic Airbud 425 Wireless Earbuds',      brand: 'Audionic', category: ['Electronic Accessories', 'Headphones & Headsets'], price: 2899,  originalPrice: 4500,  rating: 4.3, reviews: 1290, location: 'Lahore',    freeShipping: true,  cod: true,  lazMall: false, sponsored: true },
+  { id: 202, title: 'Sony WH-CH520 Wireless On-Ear Headphones',  brand: 'Sony',     category: ['Electronic Accessories', 'Headphones & Headsets'], price: 14999, originalPrice: 17999, rating: 4.8, reviews: 76,   location: 'Karachi',   freeShipping: true,  cod: true,  lazMall: true  },
+  { id: 203, title: 'Sony MDR-ZX110 Wired Headphones',           brand: 'Sony',     category: ['Electronic Accessories', 'Headphones & Headsets'], price: 3499,  originalPrice: 3999,  rating: 4.5, reviews: 388,  location: 'Karachi',   freeShipping: false, cod: true,  lazMall: true  },
+  { id: 204, title: 'Xiaomi Redmi Buds 4 Lite Earbuds',          brand: 'Xiaomi',   category: ['Electronic Accessories', 'Headphones & Headsets'], price: 3999,  originalPrice: 5499,  rating: 4.4, reviews: 932,  location: 'Islamabad', freeShipping: true,  cod: true,  lazMall: true  },
+  { id: 205, title: 'Anker Soundcore R50i True Wireless Earbuds', brand: 'Anker',   category: ['Electronic Accessories', 'Headphones & Headsets'], price: 4499,  originalPrice: 5999,  rating: 4.6, reviews: 415,  location: 'Lahore',    freeShipping: true,  cod: true,  lazMall: false },
+  { id: 206, title: 'Galaxy Buds FE Wireless Earbuds',           brand: 'Samsung',  category: ['Electronic Accessories', 'Headphones & Headsets'], price: 16999, originalPrice: 19999, rating: 4.7, reviews: 130,  location: 'Karachi',   freeShipping: true,  cod: true,  lazMall: true  },
+  { id: 207, title: 'Anker PowerCore 10000mAh Power Bank',       brand: 'Anker',    category: ['Electronic Accessories', 'Power Banks'],   price: 4799,  originalPrice: 6500,  rating: 4.7, reviews: 521,  location: 'Karachi',   freeShipping: true,  cod: true,  lazMall: false },
+  { id: 208, title: 'Xiaomi Mi Power Bank 3 20000mAh',           brand: 'Xiaomi',   category: ['Electronic Accessories', 'Power Banks'],   price: 5499,  originalPrice: 6999,  rating: 4.6, reviews: 287,  location: 'Lahore',    freeShipping: false, cod: true,  lazMall: true  },
+  { id: 209, title: 'Audionic Max 10 Power Bank 10000mAh',       brand: 'Audionic', category: ['Electronic Accessories', 'Power Banks'],   price: 2799,  originalPrice: 3500,  rating: 4.1, reviews: 64,   location: 'Lahore',    freeShipping: false, cod: true,  lazMall: false },
+  { id: 210, title: 'Samsung 25W USB-C Super Fast Charger',      brand: 'Samsung',  category: ['Electronic Accessories', 'Chargers'],      price: 2499,  originalPrice: 3200,  rating: 4.5, reviews: 702,  location: 'Karachi',   freeShipping: true,  cod: true,  lazMall: true  },
+  { id: 211, title: 'Samsung USB-C to USB-C Cable 1m',           brand: 'Samsung',  category: ['Electronic Accessories', 'Cables'],        price: 899,   originalPrice: 1200,  rating: 4.2, reviews: 233,  location: 'Islamabad', freeShipping: false, cod: true,  lazMall: true  },
+  { id: 212, title: 'Samsung 15W Wireless Charger Pad',          brand: 'Samsung',  category: ['Electronic Accessories', 'Chargers'],      price: 3999,  originalPrice: 4999,  rating: 4.0, reviews: 41,   location: 'Lahore',    freeShipping: true,  cod: false, lazMall: true  },
+  { id: 213, title: 'Anker 20W USB-C Nano Charger',              brand: 'Anker',    category: ['Electronic Accessories', 'Chargers'],      price: 2999,  originalPrice: 3499,  rating: 4.6, reviews: 180,  location: 'Karachi',   freeShipping: true,  cod: true,  lazMall: false, stock: 3 },
+  { id: 214, title: 'Audionic Solo X5 Bluetooth Speaker',        brand: 'Audionic', category: ['Electronic Accessories', 'Speakers'],      price: 4299,  originalPrice: 5200,  rating: 4.2, reviews: 356,  location: 'Lahore',    freeShipping: true,  cod: true,  lazMall: false },
+  { id: 215, title: 'Xiaomi Mi Portable Bluetooth Speaker 16W',  brand: 'Xiaomi',   category: ['Electronic Accessories', 'Speakers'],      price: 6999,  originalPrice: 7999,  rating: 4.4, reviews: 92,   location: 'Overseas',  freeShipping: false, cod: false, lazMall: false },
+
+  // ── TV & Home Appliances ───────────────────────────────────────────────────
+  { id: 301, title: 'Samsung 32 Inch HD Smart LED TV',           brand: 'Samsung',  category: ['TV & Home Appliances', 'Televisions'],        price: 59999,  originalPrice: 64999,  rating: 4.5, reviews: 38, location: 'Karachi', freeShipping: true,  cod: true,  lazMall: true  },
+  { id: 302, title: 'Sony Bravia 43 Inch 4K Google TV',          brand: 'Sony',     category: ['TV & Home Appliances', 'Televisions'],        price: 139999, originalPrice: 154999, rating: 4.8, reviews: 15, location: 'Lahore',  freeShipping: true,  cod: false, lazMall: true,  preOrder: '2026-11-05' },
+  { id: 303, title: 'Dawlance 20L Solo Microwave Oven',          brand: 'Dawlance', category: ['TV & Home Appliances', 'Kitchen Appliances'], price: 24999,  originalPrice: 27999,  rating: 4.3, reviews: 47, location: 'Karachi', freeShipping: false, cod: true,  lazMall: false },
+  { id: 304, title: 'Anex Electric Kettle 1.7L',                 brand: 'Anex',     category: ['TV & Home Appliances', 'Kitchen Appliances'], price: 3299,   originalPrice: 3299,   rating: 3.9, reviews: 29, location: 'Lahore',  freeShipping: false, cod: true,  lazMall: false, delisted: true },
+
+  // ── Non-electronics (keeps keyword search honest) ──────────────────────────
+  { id: 401, title: 'Gul Ahmed Unstitched Lawn 3 Piece Suit',    brand: 'Gul Ahmed', category: ["Women's Fashion", 'Unstitched Fabric'], price: 3499, originalPrice: 4990, rating: 4.4, reviews: 88,  location: 'Karachi', freeShipping: true,  cod: true, lazMall: true  },
+  { id: 402, title: 'Servis Men Casual Loafers',                 brand: 'Servis',    category: ["Men's Fashion", 'Shoes'],               price: 2999, originalPrice: 3999, rating: 4.1, reviews: 143, location: 'Lahore',  freeShipping: false, cod: true, lazMall: false },
+];
+
+// Product ids are assigned in listing order, so "newest" means highest id.
+// `stock` is set only where it matters (sold out, low stock); SKU products keep
+// stock per SKU. `preOrder` is the ship date of a product not yet released.
+// Delisted products still show up in search, as stale index entries do on
+// Daraz, but their product page is gone.
+// Sponsored products are pinned to the top of every sort order, as on Daraz.
+// Some titles omit the brand ("Galaxy Buds FE …"), as real listings do.
+
+// SKU variants, keyed by product id. Option groups carry Daraz's section
+// titles; each SKU picks one value per group and has its own price, stock and
+// gallery image. Combinations missing from `skus` are not sold at all.
+const VARIANTS = {
+  101: {
+    groups: { 'Color Family': ['Black', 'Light Blue', 'Yellow'], 'Storage Capacity': ['128GB', '256GB'] },
+    skus: [
+      { id: 1011, options: { 'Color Family': 'Black',      'Storage Capacity': '128GB' }, price: 45999, stock: 24, image: 1 },
+      { id: 1012, options: { 'Color Family': 'Black',      'Storage Capacity': '256GB' }, price: 52999, stock: 6,  image: 1 },
+      { id: 1013, options: { 'Color Family': 'Light Blue', 'Storage Capacity': '128GB' }, price: 45999, stock: 11, image: 2 },
+      { id: 1014, options: { 'Color Family': 'Light Blue', 'Storage Capacity': '256GB' }, price: 52999, stock: 0,  image: 2 },
+      { id: 1015, options: { 'Color Family': 'Yellow',     'Storage Capacity': '128GB' }, price: 46499, stock: 3,  image: 3 },
+    ],
+  },
+  104: {
+    groups: { 'Color Family': ['Midnight Black', 'Ocean Sunset'], 'Storage Capacity': ['256GB', '512GB'] },
+    skus: [
+      { id: 1041, options: { 'Color Family': 'Midnight Black', 'Storage Capacity': '256GB' }, price: 58999, stock: 15, image: 1 },
+      { id: 1042, options: { 'Color Family': 'Midnight Black', 'Storage Capacity': '512GB' }, price: 67999, stock: 4,  image: 1 },
+      { id: 1043, options: { 'Color Family': 'Ocean Sunset',   'Storage Capacity': '256GB' }, price: 59999, stock: 9,  image: 2 },
+    ],
+  },
+  106: {
+    groups: { 'Color Family': ['Black', 'Ivory'] },
+    skus: [
+      { id: 1061, options: { 'Color Family': 'Black' }, price: 8999, stock: 40, image: 1 },
+      { id: 1062, options: { 'Color Family': 'Ivory' }, price: 9299, stock: 0,  image: 2 },
+    ],
+  },
+  202: {
+    groups: { 'Color Family': ['Black', 'Blue', 'White'] },
+    skus: [
+      { id: 2021, options: { 'Color Family': 'Black' }, price: 14999, stock: 18, image: 1 },
+      { id: 2022, options: { 'Color Family': 'Blue' },  price: 14999, stock: 7,  image: 2 },
+      { id: 2023, options: { 'Color Family': 'White' }, price: 15499, stock: 2,  image: 3 },
+    ],
+  },
+  402: {
+    groups: { Size: ['EU:40', 'EU:41', 'EU:42', 'EU:43', 'EU:44'] },
+    skus: [
+      { id: 4021, options: { Size: 'EU:40' }, price: 2999, stock: 5,  image: 1 },
+      { id: 4022, options: { Size: 'EU:41' }, price: 2999, stock: 12, image: 1 },
+      { id: 4023, options: { Size: 'EU:42' }, price: 2999, stock: 0,  image: 1 },
+      { id: 4024, options: { Size: 'EU:43' }, price: 3199, stock: 8,  image: 1 },
+    ],
+  },
+};
+
+// Gallery images per product, served as /img/<id>-<n>.svg; SKU images are
+// drawn from the same set
+const GALLERY_SIZE = 4;
+
+// Top-level categories whose products answer the keyword "electronics"
+const ELECTRONICS_CATEGORIES = ['Electronic Devices', 'Electronic Accessories', 'TV & Home Appliances'];
+
+/**
+ * Relative product detail URL, shaped like Daraz's "/products/<slug>-i<id>.html".
+ * @param {object} product
+ * @returns {string}
+ */
+function productUrl(product) {
+  return `/products/${slugify(product.title)}-i${product.id}.html`;
+}
+
+/**
+ * Look up a product by the numeric id embedded in its URL.
+ * @param {number} id
+ * @returns {object|undefined}
+ */
+function findProduct(id) {
+  return PRODUCTS.find((p) => p.id === id);
+}
+
+/**
+ * SKU variants of a product, or null when it is sold as a single SKU.
+ * @param {object} product
+ * @returns {{ groups: Object<string, string[]>, skus: object[] }|null}
+ */
+function variantsOf(product) {
+  return VARIANTS[product.id] || null;
+}
+
+/**
+ * Strike-through price of a product or one of its SKUs. SKUs keep the
+ * product's markdown in rupees, so dearer SKUs show a smaller discount %.
+ * @param {object} product
+ * @param {object|null} [sku]
+ * @returns {number} equal to the selling price when not discounted
+ */
+function originalPriceOf(product, sku = null) {
+  return sku ? sku.price + (product.originalPrice - product.price) : product.originalPrice;
+}
+
+// Delivery addresses offered by the location picker: province → city → areas
+const LOCATIONS = {
+  'Sindh':                { Karachi: ['Gulshan-e-Iqbal', 'Clifton', 'DHA Phase 6'], Hyderabad: ['Latifabad', 'Qasimabad'] },
+  'Punjab':               { Lahore: ['Gulberg', 'Johar Town', 'DHA Phase 5'], Rawalpindi: ['Saddar', 'Bahria Town'], Multan: ['Cantt', 'Gulgasht'] },
+  'Islamabad Capital':    { Islamabad: ['F-7', 'G-11', 'Bahria Enclave'] },
+  'Khyber Pakhtunkhwa':   { Peshawar: ['Hayatabad', 'University Town'] },
+};
+
+const DEFAULT_LOCATION = { province: 'Sindh', city: 'Karachi', area: 'Gulshan-e-Iqbal' };
+
+// Free shipping reaches every major city; elsewhere only LazMall sellers pay for it
+const MAJOR_CITIES = ['Karachi', 'Lahore', 'Islamabad', 'Rawalpindi'];
+const PICKUP_CITIES = ['Karachi', 'Lahore', 'Islamabad'];
+
+/**
+ * Province a city belongs to, if it is one we deliver to.
+ * @param {string} city
+ * @returns {string|undefined}
+ */
+function provinceOf(city) {
+  return Object.keys(LOCATIONS).find((province) => city in LOCATIONS[province]);
+}
+
+/**
+ * Delivery options for a product shipped to `location`. Fees and ETAs depend
+ * on how far the seller's city is from the shopper's; express delivery only
+ * runs within the seller's city.
+ * @param {object} product
+ * @param {{ province: string, city: string, area: string }} [location]
+ * @returns {{ type: 'standard'|'express'|'pickup', title: string, fee: number, etaFrom: number, etaTo: number }[]}
+ */
+function deliveryOptions(product, location = DEFAULT_LOCATION) {
+  if (product.location === 'Overseas') {
+    return [{ type: 'standard', title: 'Standard Delivery', fee: 349, etaFrom: 10, etaTo: 15 }];
+  }
+
+  const sameCity = product.location === location.city;
+  const sameProvince = provinceOf(product.location) === location.province;
+  const free = product.freeShipping && (MAJOR_CITIES.includes(location.city) || product.lazMall);
+  const [etaFrom, etaTo] = sameCity ? [1, 3] : sameProvince ? [2, 4] : [3, 6];
+
+  const options = [{
+    type: 'standard',
+    title: 'Standard Delivery',
+    fee: free ? 0 : sameCity ? 99 : MAJOR_CITIES.includes(location.city) ? 149 : 199,
+    etaFrom,
+    etaTo,
+  }];
+  if (sameCity) options.push({ type: 'express', title: 'Express Delivery', fee: 249, etaFrom: 1, etaTo: 1 });
+  if (PICKUP_CITIES.includes(location.city)) {
+    options.push({ type: 'pickup', title: 'Pick-up from Collection Point', fee: free ? 0 : 79, etaFrom: etaFrom + 1, etaTo: etaTo + 1 });
+  }
+  return options;
+}
+
+// ── Ratings & reviews ──────────────────────────────────────────────────────
+
+const REVIEW_TEXTS = {
+  5: ['Excellent product, exactly as described.', 'Genuine item and very fast delivery. Highly recommended!', 'Great value for money, works perfectly.', 'Packed well and arrived a day early.'],
+  4: ['Good product, delivery took a little longer than expected.', 'Works well. Packaging could be better.', 'Nice quality for the price.'],
+  3: ['Average. Does the job but nothing special.', 'Okay product, box was slightly damaged.'],
+  2: ['Not as described, quality is below expectations.', 'Stopped working properly after a week.'],
+  1: ['Received a faulty unit, seller did not respond.', 'Very poor quality, would not buy again.'],
+};
+const REVIEWERS = ['Ahmed K.', 'Ayesha R.', 'Bilal S.', 'Fatima Z.', 'Hassan M.', 'Sana T.', 'Usman A.', 'Zainab H.'];
+const LATEST_REVIEW = Date.UTC(2026, 8, 30);  // reviews count back from 30 Sep 2026
+const DAY_MS = 86_400_000;
+const REVIEW_PAGE_SIZE = 5;
+
+/**
+ * Small deterministic PRNG so every product gets the same reviews each run.
+ * @param {number} seed
+ * @returns {() => number} Uniform values in [0, 1)
+ */
+function seededRandom(seed) {
+  let state = seed % 2147483647 || 1;
+  return () => {
+    state = (state * 16807) % 2147483647;
+    return (state - 1) / 2147483646;
+  };
+}
+
+/**
+ * How many of a product's reviews gave 5, 4, 3, 2 and 1 stars. The counts sum
+ * to `product.reviews` and their mean rounds to `product.rating`, so the PDP
+ * summary agrees with the search card.
+ * @param {object} product
+ * @returns {Object<number, number>} stars → count
+ */
+function ratingHistogram(product) {
+  const histogram = { 5: product.reviews, 4: 0, 3: 0, 2: 0, 1: 0 };
+  let deficit = 5 * product.reviews - Math.round(product.rating * product.reviews);
+  const pattern = [4, 4, 3, 4, 1, 2, 4, 3];
+  for (let i = 0; deficit > 0; i++) {
+    const stars = Math.max(pattern[i % pattern.length], 5 - deficit);
+    histogram[5]--;
+    histogram[stars]++;
+    deficit -= 5 - stars;
+  }
+  return histogram;
+}
+
+const reviewCache = new Map();
+
+/**
+ * Every review of a product in "relevance" order. Stars follow
+ * ratingHistogram(); variant products name the SKU that was bought.
+ * @param {object} product
+ * @returns {{ id: number, stars: number, text: string, author: string, date: string,
+ *             variant: string|null, photos: string[] }[]}
+ */
+function reviewsFor(product) {
+  if (reviewCache.has(product.id)) return reviewCache.get(product.id);
+
+  const random = seededRandom(product.id);
+  const histogram = ratingHistogram(product);
+  const stars = [5, 4, 3, 2, 1].flatMap((n) => Array(histogram[n]).fill(n));
+  for (let i = stars.length - 1; i > 0; i--) {
+    const j = Math.floor(random() * (i + 1));
+    [stars[i], stars[j]] = [stars[j], stars[i]];
+  }
+
+  const variants = variantsOf(product);
+  const reviews = stars.map((n, i) => {
+    const texts = REVIEW_TEXTS[n];
+    const sku = variants && variants.skus[Math.floor(random() * variants.skus.length)];
+    return {
+      id: product.id * 10_000 + i,
+      stars: n,
+      text: texts[Math.floor(random() * texts.length)],
+      author: REVIEWERS[Math.floor(random() * REVIEWERS.length)],
+      date: new Date(LATEST_REVIEW - Math.floor(random() * 365) * DAY_MS).toISOString().slice(0, 10),
+      variant: sku ? Object.entries(sku.options).map(([group, value]) => `${group}:${value}`).join(', ') : null,
+      photos: random() < 0.2 ? [`/img/${product.id}-${1 + Math.floor(random() * 3)}.svg`] : [],
+    };
+  });
+  reviewCache.set(product.id, reviews);
+  return reviews;
+}
+
+/**
+ * One page of a product's reviews after the star filter and sort order.
+ * @param {object} product
+ * @param {{ page?: number, sort?: string, stars?: number }} [query]
+ *   sort: relevance (default), recent, rating-desc, rating-asc
+ * @returns {{ reviews: object[], total: number, page: number, pageCount: number }}
+ */
+function reviewPage(product, { page = 1, sort = 'relevance', stars } = {}) {
+  let reviews = reviewsFor(product);
+  if (stars) reviews = reviews.filter((r) => r.stars === stars);
+
+  const order = {
+    recent: (a, b) => b.date.localeCompare(a.date) || a.id - b.id,
+    'rating-desc': (a, b) => b.stars - a.stars || a.id - b.id,
+    'rating-asc': (a, b) => a.stars - b.stars || a.id - b.id,
+  }[sort];
+  if (order) reviews = [...reviews].sort(order);
+
+  const pageCount = Math.max(1, Math.ceil(reviews.length / REVIEW_PAGE_SIZE));
+  const current = Math.min(Math.max(1, page), pageCount);
+  return {
+    reviews: reviews.slice((current - 1) * REVIEW_PAGE_SIZE, current * REVIEW_PAGE_SIZE),
+    total: reviews.length,
+    page: current,
+    pageCount,
+  };
+}
+
+// ── Sellers ────────────────────────────────────────────────────────────────
+// LazMall listings are sold by the brand's official store; everything else by
+// the seller keyed here by brand. Some brands run an official store outside
+// LazMall too.
+const MARKETPLACE_SELLERS = {
+  Infinix:  'Mobile Zone PK',
+  HP:       'Laptop Point',
+  Audionic: 'Audionic Official Store',
+  Anker:    'Gadget Galaxy',
+  Xiaomi:   'Global Tech Direct',
+  Dawlance: 'Home Appliance Hub',
+  Anex:     'Home Appliance Hub',
+  Servis:   'Shoe Corner',
+};
+
+/**
+ * Seller of a product with its storefront scores. Scores are derived from
+ * the store name so they stay the same on every page that shows them.
+ * @param {object} product
+ * @returns {{ slug: string, name: string, official: boolean, lazMall: boolean,
+ *             positiveRating: number, shipOnTime: number, chatResponse: number }}
+ */
+function sellerOf(product) {
+  const name = product.lazMall ? `${product.brand} Official Store` : MARKETPLACE_SELLERS[product.brand];
+  const official = name.endsWith('Official Store');
+  const random = seededRandom([...name].reduce((hash, ch) => (hash * 31 + ch.charCodeAt(0)) % 2147483647, 7));
+  const score = (min) => min + Math.floor(random() * (100 - min));
+  return {
+    slug: slugify(name),
+    name,
+    official,
+    lazMall: product.lazMall,
+    positiveRating: score(official ? 92 : 80),
+    shipOnTime: score(official ? 90 : 70),
+    chatResponse: score(official ? 85 : 60),
+  };
+}
+
+/**
+ * A store and its products, optionally narrowed by a keyword search.
+ * @param {string} slug
+ * @param {string} [q]
+ * @returns {{ seller: object, products: object[] }|null} null for unknown stores
+ */
+function storeProducts(slug, q = '') {
+  const products = PRODUCTS.filter((p) => sellerOf(p).slug === slug);
+  if (products.length === 0) return null;
+  const matching = new Set(searchProducts(q));
+  return { seller: sellerOf(products[0]), products: products.filter((p) => matching.has(p)) };
+}
+
+// ── Promotions ─────────────────────────────────────────────────────────────
+// Store vouchers by store name: `amount` off an order of at least `minSpend`
+const STORE_VOUCHERS = {
+  'Samsung Official Store':  [{ amount: 150, minSpend: 3000 }, { amount: 1000, minSpend: 25000 }],
+  'Xiaomi Official Store':   [{ amount: 300, minSpend: 5000 }],
+  'Audionic Official Store': [{ amount: 200, minSpend: 2500 }],
+  'Gadget Galaxy':           [{ amount: 250, minSpend: 4000 }],
+};
+
+// Today's flash sale, which ends at midnight Pakistan time (UTC+5)
+const FLASH_SALE_ITEMS = [106, 201, 207];
+
+// 0% markup installment plans (months), offered from this price up
+const INSTALLMENT_MONTHS = [3, 6, 12];
+const INSTALLMENT_MIN_PRICE = 20000;
+
+/**
+ * Promotions shown on a product page for a selling price.
+ * @param {object} product
+ * @param {number} price
+ * @param {Date} [now]
+ * @returns {{ vouchers: { amount: number, minSpend: number }[], flashSaleEnds: Date|null,
+ *             installments: { months: number, monthly: number }[] }}
+ */
+function promotionsOf(product, price, now = new Date()) {
+  let flashSaleEnds = null;
+  if (FLASH_SALE_ITEMS.includes(product.id)) {
+    flashSaleEnds = new Date(now);
+    flashSaleEnds.setUTCHours(19, 0, 0, 0);  // 00:00 PKT
+    if (flashSaleEnds <= now) flashSaleEnds.setUTCDate(flashSaleEnds.getUTCDate() + 1);
+  }
+  return {
+    vouchers: STORE_VOUCHERS[sellerOf(product).name] || [],
+    flashSaleEnds,
+    installments: price >= INSTALLMENT_MIN_PRICE
+      ? INSTALLMENT_MONTHS.map((months) => ({ months, monthly: Math.ceil(price / months) }))
+      : [],
+  };
+}
+
+/**
+ * Searchable text for a product: title, brand, category path and keywords.
+ * @param {object} product
+ * @returns {string}
+ */
+function haystack(product) {
+  const keywords = ELECTRONICS_CATEGORIES.includes(product.category[0]) ? 'electronics' : '';
+  return [product.title, product.brand, ...product.category, keywords].join(' ').toLowerCase();
+}
+
+/**
+ * Keyword match — every whitespace-separated token must appear somewhere.
+ * An empty query matches the whole catalog, as Daraz does.
+ * @param {string} q
+ * @returns {object[]}
+ */
+function searchProducts(q = '') {
+  const tokens = q.toLowerCase().split(/\s+/).filter(Boolean);
+  return PRODUCTS.filter((p) => {
+    const text = haystack(p);
+    return tokens.every((t) => text.includes(t));
+  });
+}
+
+// Service facet options and the product flag each one checks
+const SERVICES = [
+  { label: 'Free Shipping',    value: 'free-shipping', flag: 'freeShipping' },
+  { label: 'Cash On Delivery', value: 'cod',           flag: 'cod' },
+  { label: 'LazMall',          value: 'lazmall',       flag: 'lazMall' },
+];
+
+/**
+ * Edit distance between two words (insertions, deletions, substitutions).
+ * @param {string} a
+ * @param {string} b
+ * @returns {number}
+ */
+function levenshtein(a, b) {
+  let row = Array.from({ length: b.length + 1 }, (_, j) => j);
+  for (let i = 1; i <= a.length; i++) {
+    const next = [i];
+    for (let j = 1; j <= b.length; j++) {
+      next[j] = Math.min(row[j] + 1, next[j - 1] + 1, row[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1));
+    }
+    row = next;
+  }
+  return row[b.length];
+}
+
+/**
+ * "Did you mean" — replace each unknown word of the query with the closest
+ * catalog word (at most two edits away). Returns null when nothing changed.
+ * @param {string} q
+ * @returns {string|null}
+ */
+function suggestCorrection(q) {
+  const vocabulary = [...new Set(PRODUCTS.flatMap((p) => haystack(p).split(/[^a-z0-9]+/)))].filter((w) => w.length >= 3);
+  const tokens = q.toLowerCase().split(/\s+/).filter(Boolean);
+
+  const corrected = tokens.map((token) => {
+    if (vocabulary.some((w) => w.includes(token))) return token;
+    let best = null;
+    for (const word of vocabulary) {
+      const distance = levenshtein(token, word);
+      if (distance <= 2 && (!best || distance < best.distance)) best = { word, distance };
+    }
+    return best ? best.word : token;
+  });
+
+  const suggestion = corrected.join(' ');
+  return suggestion !== tokens.join(' ') ? suggestion : null;
+}
+
+/**
+ * Leaf categories ("Smartphones", "Power Banks", …) with their full path.
+ * @returns {{ label: string, value: string, path: string[] }[]}
+ */
+function categories() {
+  const byValue = new Map();
+  for (const p of PRODUCTS) {
+    const value = slugify(p.category[1]);
+    if (!byValue.has(value)) byValue.set(value, { label: p.category[1], value, path: p.category });
+  }
+  return [...byValue.values()];
+}
+
+/**
+ * The leaf category with this slug, if any.
+ * @param {string} value
+ * @returns {{ label: string, value: string, path: string[] }|undefined}
+ */
+function findCategory(value) {
+  return categories().find((c) => c.value === value);
+}
+
+/**
+ * Search-box suggestions for a typed prefix: keyword completions, categories
+ * that contain matching products, and brand stores.
+ * @param {string} prefix
+ * @returns {{ type: 'keyword'|'category'|'shop', text: string, href: string }[]}
+ */
+function suggest(prefix) {
+  const typed = prefix.trim().toLowerCase();
+  if (!typed) return [];
+
+  // Keyword candidates: brand names, leaf categories and the first words of titles
+  const phrases = new Set();
+  for (const p of PRODUCTS) {
+    const words = p.title.toLowerCase().split(/\s+/);
+    phrases.add(p.brand.toLowerCase());
+    phrases.add(p.category[1].toLowerCase());
+    phrases.add(words.slice(0, 2).join(' '));
+    phrases.add(words.slice(0, 3).join(' '));
+  }
+  const keywords = [...phrases]
+    .filter((phrase) => phrase.startsWith(typed) || phrase.split(' ').some((w) => w.startsWith(typed)))
+    .sort((a, b) => Number(!a.startsWith(typed)) - Number(!b.startsWith(typed)) || a.length - b.length || a.localeCompare(b))
+    .slice(0, 6)
+    .map((text) => ({ type: 'keyword', text, href: `/catalog/?q=${encodeURIComponent(text)}` }));
+
+  const inCategories = [...new Set(searchProducts(typed).map((p) => p.category[1]))]
+    .slice(0, 2)
+    .map((label) => ({ type: 'category', text: `${typed} in ${label}`, href: `/${slugify(label)}/` }));
+
+  const shops = [...new Set(PRODUCTS.map((p) => p.brand))]
+    .filter((brand) => brand.toLowerCase().startsWith(typed))
+    .slice(0, 2)
+    .map((brand) => ({ type: 'shop', text: `${brand} Official Store`, href: `/catalog/?brand=${slugify(brand)}` }));
+
+  return [...keywords, ...inCategories, ...shops];
+}
+
+/**
+ * Apply sidebar filters to a product list. Multi-select values are slugs.
+ * @param {object[]} products
+ * @param {{ brands?: string[], price?: { min?: number, max?: number }, rating?: number,
+ *           locations?: string[], services?: string[], category?: string }} filters
+ * @returns {object[]}
+ */
+function applyFilters(products, { brands = [], price = {}, rating, locations = [], services = [], category } = {}) {
+  const flags = SERVICES.filter((s) => services.includes(s.value)).map((s) => s.flag);
+  return products.filter((p) => {
+    if (brands.length && !brands.includes(slugify(p.brand))) return false;
+    if (price.min != null && p.price < price.min) return false;
+    if (price.max != null && p.price > price.max) return false;
+    if (rating != null && p.rating < rating) return false;
+    if (locations.length && !locations.includes(slugify(p.location))) return false;
+    if (flags.some((flag) => !p[flag])) return false;
+    if (category && !p.category.map(slugify).includes(category)) return false;
+    return true;
+  });
+}
+
+// Comparators for the `sort` query parameter (see SORT_OPTIONS in config/constants.js)
+const SORTERS = {
+  popularity: (a, b) => b.reviews - a.reviews,
+  priceasc:   (a, b) => a.price - b.price,
+  pricedesc:  (a, b) => b.price - a.price,
+  ratingdesc: (a, b) => b.rating - a.rating || b.reviews - a.reviews,
+  newest:     (a, b) => b.id - a.id,
+};
+
+/**
+ * Order products for the `sort` parameter, sponsored listings first.
+ * Unknown or missing sort values fall back to best match (popularity).
+ * @param {object[]} products
+ * @param {string} [sort]
+ * @returns {object[]}
+ */
+function sortProducts(products, sort) {
+  const compare = SORTERS[sort] || SORTERS.popularity;
+  return [...products].sort((a, b) => Number(!!b.sponsored) - Number(!!a.sponsored) || compare(a, b));
+}
+
+/**
+ * Count products per label, most common first.
+ * @param {object[]} products
+ * @param {(product: object) => string} labelOf
+ * @returns {{ label: string, value: string, count: number }[]}
+ */
+function facet(products, labelOf) {
+  const counts = new Map();
+  for (const p of products) counts.set(labelOf(p), (counts.get(labelOf(p)) || 0) + 1);
+  return [...counts.entries()]
+    .sort((a, b) => b[1] - a[1] || a[0].localeCompare(b[0]))
+    .map(([label, count]) => ({ label, value: slugify(label), count }));
+}
+
+/**
+ * All sidebar facet groups for a product list.
+ * @param {object[]} products
+ * @returns {{ category: object[], brand: object[], service: object[], location: object[] }}
+ */
+function facets(products) {
+  return {
+    category: facet(products, (p) => p.category[1]),
+    brand:    facet(products, (p) => p.brand),
+    service:  SERVICES
+      .map((s) => ({ label: s.label, value: s.value, count: products.filter((p) => p[s.flag]).length }))
+      .filter((s) => s.count > 0),
+    location: facet(products, (p) => p.location),
+  };
+}
+
+module.exports = {
+  PRODUCTS,
+  GALLERY_SIZE,
+  slugify,
+  productUrl,
+  findProduct,
+  variantsOf,
+  originalPriceOf,
+  LOCATIONS,
+  DEFAULT_LOCATION,
+  deliveryOptions,
+  ratingHistogram,
+  reviewPage,
+  sellerOf,
+  storeProducts,
+  promotionsOf,
+  searchProducts,
+  suggestCorrection,
+  suggest,
+  categories,
+  findCategory,
+  applyFilters,
+  sortProducts,
+  facets,
+};
@@ -0,0 +1,452 @@
+// mock-site/public/site.js
+// Client-side behaviour for the offline storefront: popup dismissal, search
+// suggestions, SKU variant switching, the cookie-backed cart, the delivery
+// location picker and sidebar filters that reload the catalog with updated
+// query parameters.
+
+(function () {
+  'use strict';
+
+  // ── Promo popup ───────────────────────────────────────────────────────────
+  document.querySelectorAll('.promo-popup .close-btn').forEach(function (btn) {
+    btn.addEventListener('click', function () {
+      btn.closest('.promo-popup').remove();
+    });
+  });
+
+  // ── Search suggestions ────────────────────────────────────────────────────
+  // Fetched as the user types; ArrowDown / ArrowUp move the highlight, Enter
+  // opens the highlighted entry, Escape closes the list.
+  var searchInput = document.getElementById('q');
+  var suggestBox = document.querySelector('.search-suggestions');
+  var suggestTimer = null;
+  var suggestSeq = 0;
+
+  function suggestItems() {
+    return Array.prototype.slice.call(suggestBox.querySelectorAll('.suggest-item'));
+  }
+
+  function closeSuggestions() {
+    suggestBox.hidden = true;
+    suggestBox.innerHTML = '';
+    searchInput.setAttribute('aria-expanded', 'false');
+  }
+
+  function highlight(index) {
+    suggestItems().forEach(function (item, i) {
+      item.classList.toggle('active', i === index);
+      item.setAttribute('aria-selected', String(i === index));
+    });
+  }
+
+  function renderSuggestions(entries) {
+    if (!entries.length) return closeSuggestions();
+    suggestBox.innerHTML = '';
+    entries.forEach(function (entry) {
+      var link = document.createElement('a');
+      link.className = 'suggest-item suggest-' + entry.type;
+      link.setAttribute('role', 'option');
+      link.setAttribute('aria-selected', 'false');
+      link.dataset.type = entry.type;
+      link.href = entry.href;
+      link.textContent = entry.text;
+      suggestBox.appendChild(link);
+    });
+    suggestBox.hidden = false;
+    searchInput.setAttribute('aria-expanded', 'true');
+  }
+
+  if (searchInput && suggestBox) {
+    searchInput.addEventListener('input', function () {
+      clearTimeout(suggestTimer);
+      var typed = searchInput.value;
+      var seq = ++suggestSeq;
+      if (!typed.trim()) return closeSuggestions();
+      suggestTimer = setTimeout(function () {
+        fetch('/suggest?q=' + encodeURIComponent(typed))
+          .then(function (res) { return res.json(); })
+          .then(function (entries) { if (seq === suggestSeq) renderSuggestions(entries); });
+      }, 100);
+    });
+
+    searchInput.addEventListener('keydown', function (event) {
+      var items = suggestItems();
+      var current = items.findIndex(function (item) { return item.classList.contains('active'); });
+      if (suggestBox.hidden || !items.length) return;
+
+      if (event.key === 'ArrowDown' || event.key === 'ArrowUp') {
+        event.preventDefault();
+        var step = event.key === 'ArrowDown' ? 1 : -1;
+        highlight((current + step + items.length) % items.length);
+      } else if (event.key === 'Enter' && current !== -1) {
+        event.preventDefault();
+        window.location.assign(items[current].href);
+      } else if (event.key === 'Escape') {
+        closeSuggestions();
+      }
+    });
+  }
+
+  // ── Image gallery ─────────────────────────────────────────────────────────
+  // Thumbnails switch the main image; clicking the main image opens it full
+  // size in the preview dialog.
+  var gallery = document.querySelector('.pdp-block__gallery');
+  if (gallery) {
+    var mainPic = gallery.querySelector('.pdp-mod-main-pic img');
+    var preview = gallery.querySelector('.gallery-preview');
+
+    gallery.querySelectorAll('.item-gallery__thumbnail').forEach(function (thumb) {
+      thumb.addEventListener('click', function () {
+        gallery.querySelectorAll('.item-gallery__thumbnail').forEach(function (other) {
+          other.classList.toggle('item-gallery__thumbnail--active', other === thumb);
+        });
+        mainPic.src = thumb.querySelector('img').src;
+      });
+    });
+    mainPic.addEventListener('click', function () {
+      preview.querySelector('img').src = mainPic.src;
+      preview.hidden = false;
+    });
+    preview.querySelector('.gallery-preview__close').addEventListener('click', function () {
+      preview.hidden = true;
+    });
+    document.addEventListener('keydown', function (event) {
+      if (event.key === 'Escape') preview.hidden = true;
+    });
+  }
+
+  // ── Flash sale ────────────────────────────────────────────────────────────
+  // Ticks the "Ends in HH:MM:SS" countdown down to the end time the server set.
+  var flashSale = document.querySelector('.pdp-flash-sale');
+  if (flashSale) {
+    var endsAt = new Date(flashSale.dataset.endsAt).getTime();
+    var pad = function (n) { return (n < 10 ? '0' : '') + n; };
+    var tick = function () {
+      var left = Math.max(0, Math.floor((endsAt - Date.now()) / 1000));
+      flashSale.querySelector('.flash-sale-countdown').textContent = 'Ends in ' +
+        pad(Math.floor(left / 3600)) + ':' + pad(Math.floor(left / 60) % 60) + ':' + pad(left % 60);
+    };
+    tick();
+    setInterval(tick, 1000);
+  }
+
+  // ── SKU variants ──────────────────────────────────────────────────────────
+  // Picking a value selects the SKU with that combination (or the first SKU
+  // offering the value when the combination is not sold), then refreshes
+  // price, discount, installments, stock, main image, add-to-cart state and
+  // the "-s<sku>" URL suffix.
+  var skuData = document.getElementById('sku-data');
+  if (skuData) {
+    var variants = JSON.parse(skuData.textContent);
+    var pdp = document.querySelector('.pdp');
+    var current = variants.skus.filter(function (sku) {
+      return String(sku.id) === pdp.dataset.skuId;
+    })[0];
+
+    var matches = function (sku, selection) {
+      return Object.keys(selection).every(function (group) {
+        return sku.options[group] === selection[group];
+      });
+    };
+
+    var stockLabel = function (stock) {
+      if (stock <= 0) return 'Out of Stock';
+      if (stock <= 5) return 'Only ' + stock + ' items left';
+      return 'In Stock';
+    };
+
+    var money = function (amount) {
+      return 'Rs ' + amount.toLocaleString('en-US');
+    };
+
+    var render = function () {
+      document.querySelectorAll('.sku-prop').forEach(function (prop) {
+        var group = prop.dataset.group;
+        prop.querySelectorAll('.sku-variable-name').forEach(function (item) {
+          var selection = Object.assign({}, current.options);
+          selection[group] = item.dataset.value;
+          var available = variants.skus.some(function (sku) {
+            return sku.stock > 0 && matches(sku, selection);
+          });
+          item.classList.toggle('sku-variable-name-selected', current.options[group] === item.dataset.value);
+          item.classList.toggle('sku-variable-name-disabled', !available);
+        });
+      });
+
+      pdp.dataset.skuId = current.id;
+      pdp.querySelector('.pdp-price').textContent = money(current.price);
+      var origin = pdp.querySelector('.pdp-price-origin');
+      if (origin) {
+        origin.querySelector('del').textContent = money(current.originalPrice);
+        origin.querySelector('.pdp-product-price__discount').textContent =
+          '-' + Math.round((current.originalPrice - current.price) / current.originalPrice * 100) + '%';
+      }
+      pdp.querySelectorAll('.installment-plan').forEach(function (plan) {
+        var months = Number(plan.dataset.months);
+        plan.textContent = money(Math.ceil(current.price / months)) + '/month for ' + months + ' months';
+      });
+      pdp.querySelector('.quantity-content').textContent = stockLabel(current.stock);
+      pdp.querySelector('.pdp-mod-main-pic img').src = '/img/' + variants.productId + '-' + current.image + '.svg';
+      pdp.querySelectorAll('.item-gallery__thumbnail').forEach(function (thumb) {
+        thumb.classList.toggle('item-gallery__thumbnail--active', thumb.dataset.index === String(current.image));
+      });
+      pdp.querySelector('.add-to-cart').disabled = current.stock <= 0;
+      pdp.querySelector('.buy-now').disabled = current.stock <= 0;
+      history.replaceState(null, '', window.location.pathname
+        .replace(/(-i\d+)(?:-s\d+)?\.html$/, '$1-s' + current.id + '.html'));
+    };
+
+    document.querySelectorAll('.sku-variable-name').forEach(function (item) {
+      item.addEventListener('click', function () {
+        var group = item.closest('.sku-prop').dataset.group;
+        var selection = Object.assign({}, current.options);
+        selection[group] = item.dataset.value;
+
+        var withValue = variants.skus.filter(function (sku) {
+          return sku.options[group] === item.dataset.value;
+        });
+        current = variants.skus.filter(function (sku) { return matches(sku, selection); })[0] ||
+          withValue.filter(function (sku) { return sku.stock > 0; })[0] ||
+          withValue[0];
+        render();
+      });
+    });
+  }
+
+  // ── Cart ──────────────────────────────────────────────────────────────────
+  // Kept in a `cart` cookie as JSON [{ id, sku, qty }]; the server renders
+  // /cart/ from it. Quantity pickers clamp to their min / max.
+  function readCart() {
+    var match = document.cookie.match(/(?:^|;\s*)cart=([^;]*)/);
+    try {
+      return match ? JSON.parse(decodeURIComponent(match[1])) : [];
+    } catch (err) {
+      return [];
+    }
+  }
+
+  function writeCart(cart) {
+    document.cookie = 'cart=' + encodeURIComponent(JSON.stringify(cart)) + '; path=/';
+    var badge = document.querySelector('.cart-num');
+    if (badge) {
+      badge.textContent = cart.reduce(function (sum, line) { return sum + line.qty; }, 0);
+    }
+  }
+
+  writeCart(readCart());
+
+  document.querySelectorAll('.next-number-picker').forEach(function (picker) {
+    var input = picker.querySelector('input');
+    function step(delta) {
+      var next = Math.min(Number(input.max), Math.max(Number(input.min), Number(input.value) + delta));
+      if (next === Number(input.value)) return;
+      input.value = next;
+      input.dispatchEvent(new Event('change', { bubbles: true }));
+    }
+    picker.querySelector('.next-number-picker-handler-down').addEventListener('click', function () { step(-1); });
+    picker.querySelector('.next-number-picker-handler-up').addEventListener('click', function () { step(1); });
+  });
+
+  // Adds the PDP's current SKU and quantity; returns the line added
+  function addCurrentSku() {
+    var pdpNode = document.querySelector('.pdp');
+    var qtyInput = pdpNode.querySelector('.next-number-picker-input');
+    var line = {
+      id: Number(pdpNode.dataset.itemId),
+      sku: pdpNode.dataset.skuId ? Number(pdpNode.dataset.skuId) : null,
+      qty: Math.max(1, Number(qtyInput.value) || 1),
+    };
+    var cart = readCart();
+    var existing = cart.filter(function (l) { return l.id === line.id && l.sku === line.sku; })[0];
+    if (existing) existing.qty = Math.min(Number(qtyInput.max), existing.qty + line.qty);
+    else cart.push(line);
+    writeCart(cart);
+    return line;
+  }
+
+  var buyNow = document.querySelector('.pdp .buy-now');
+  if (buyNow) {
+    buyNow.addEventListener('click', function () {
+      addCurrentSku();
+      window.location.assign('/cart/');
+    });
+  }
+
+  var addToCart = document.querySelector('.pdp .add-to-cart');
+  if (addToCart) {
+    addToCart.addEventListener('click', function () {
+      var line = addCurrentSku();
+
+      var popup = document.createElement('div');
+      popup.className = 'next-dialog cart-popup';
+      popup.setAttribute('role', 'dialog');
+      popup.innerHTML = '<button type="button" class="next-dialog-close" aria-label="Close">×</button>' +
+        '<p class="cart-popup-msg">' + line.qty + ' item(s) added to cart successfully!</p>' +
+        '<a class="go-to-cart" href="/cart/">Go to Cart</a>';
+      popup.querySelector('.next-dialog-close').addEventListener('click', function () { popup.remove(); });
+      document.body.appendChild(popup);
+    });
+  }
+
+  document.querySelectorAll('.cart-item').forEach(function (row) {
+    var id = Number(row.dataset.itemId);
+    var sku = row.dataset.skuId ? Number(row.dataset.skuId) : null;
+    function isRow(line) { return line.id === id && line.sku === sku; }
+
+    row.querySelector('.next-number-picker-input').addEventListener('change', function (event) {
+      var qty = Math.max(1, Number(event.target.value) || 1);
+      writeCart(readCart().map(function (line) {
+        return isRow(line) ? { id: line.id, sku: line.sku, qty: qty } : line;
+      }));
+      window.location.reload();
+    });
+    row.querySelector('.cart-item-remove').addEventListener('click', function () {
+      writeCart(readCart().filter(function (line) { return !isRow(line); }));
+      window.location.reload();
+    });
+  });
+
+  // ── Delivery location picker ──────────────────────────────────────────────
+  // CHANGE opens a province → city → area list; picking an area stores it in
+  // the `location` cookie and re-fetches the delivery block for this item.
+  var picker = document.querySelector('.location-picker');
+  if (picker) {
+    var tree = JSON.parse(document.getElementById('location-data').textContent);
+    var list = picker.querySelector('.location-list');
+    var pathLabel = picker.querySelector('.location-picker__path');
+    var chosen = [];
+
+    var showLevel = function () {
+      var level = chosen.length === 0 ? Object.keys(tree)
+        : chosen.length === 1 ? Object.keys(tree[chosen[0]])
+          : tree[chosen[0]][chosen[1]];
+      pathLabel.textContent = chosen.length ? chosen.join(' / ') : 'Select Province';
+      list.innerHTML = '';
+      level.forEach(function (name) {
+        var item = document.createElement('li');
+        item.className = 'location-list__item';
+        item.setAttribute('role', 'option');
+        item.textContent = name;
+        list.appendChild(item);
+      });
+    };
+
+    var saveLocation = function () {
+      var location = { province: chosen[0], city: chosen[1], area: chosen[2] };
+      document.cookie = 'location=' + encodeURIComponent(JSON.stringify(location)) + '; path=/';
+      picker.hidden = true;
+      var itemId = document.querySelector('.pdp').dataset.itemId;
+      fetch('/delivery?item=' + itemId)
+        .then(function (res) { return res.text(); })
+        .then(function (html) {
+          document.querySelector('.delivery').outerHTML = html;
+        });
+    };
+
+    document.addEventListener('click', function (event) {
+      if (event.target.closest('.location-link')) {
+        chosen = [];
+        showLevel();
+        picker.hidden = false;
+      }
+    });
+    picker.querySelector('.location-picker__close').addEventListener('click', function () {
+      picker.hidden = true;
+    });
+    list.addEventListener('click', function (event) {
+      var item = event.target.closest('.location-list__item');
+      if (!item) return;
+      chosen.push(item.textContent);
+      if (chosen.length === 3) saveLocation();
+      else showLevel();
+    });
+  }
+
+  // ── Reviews ───────────────────────────────────────────────────────────────
+  // Sort, star filter and pager re-fetch only the review list from /reviews.
+  var reviews = document.querySelector('.pdp-mod-review');
+  if (reviews) {
+    var reviewSort = reviews.querySelector('.review-sort');
+    var reviewFilter = reviews.querySelector('.review-filter');
+
+    var loadReviews = function (page) {
+      var query = '?item=' + reviews.dataset.itemId + '&page=' + page
+        + '&sort=' + reviewSort.value + '&stars=' + reviewFilter.value;
+      fetch('/reviews' + query)
+        .then(function (res) { return res.text(); })
+        .then(function (html) {
+          reviews.querySelector('.review-list-wrap').innerHTML = html;
+        });
+    };
+
+    reviewSort.addEventListener('change', function () { loadReviews(1); });
+    reviewFilter.addEventListener('change', function () { loadReviews(1); });
+    reviews.addEventListener('click', function (event) {
+      var button = event.target.closest('.review-pagination button');
+      if (button && !button.disabled) loadReviews(button.dataset.page);
+    });
+  }
+
+  // ── Sort dropdown ─────────────────────────────────────────────────────────
+  var sortSelect = document.querySelector('select[name="sort"]');
+  if (sortSelect) {
+    sortSelect.addEventListener('change', function () {
+      var url = new URL(window.location.href);
+      url.searchParams.set('sort', sortSelect.value);
+      url.searchParams.delete('page');
+      window.location.assign(url.toString());
+    });
+  }
+
+  // ── Sidebar filters ───────────────────────────────────────────────────────
+  var panel = document.querySelector('.filter-panel');
+  if (!panel) return;
+
+  function navigate(mutate) {
+    var url = new URL(window.location.href);
+    mutate(url.searchParams);
+    url.searchParams.delete('page');
+    window.location.assign(url.toString());
+  }
+
+  // Multi-select facets are joined with "--", e.g. brand=samsung--xiaomi
+  panel.addEventListener('change', function (event) {
+    var box = event.target;
+    if (!box.matches('input[type="checkbox"][data-facet]')) return;
+    navigate(function (params) {
+      var values = (params.get(box.dataset.facet) || '').split('--').filter(Boolean);
+      values = values.filter(function (v) { return v !== box.value; });
+      if (box.checked) values.push(box.value);
+      if (values.length) params.set(box.dataset.facet, values.join('--'));
+      else params.delete(box.dataset.facet);
+    });
+  });
+
+  panel.querySelectorAll('.view-more').forEach(function (btn) {
+    btn.addEventListener('click', function () {
+      btn.closest('.filter-group').querySelectorAll('.more-option').forEach(function (option) {
+        option.hidden = false;
+      });
+      btn.remove();
+    });
+  });
+
+  var priceBtn = panel.querySelector('[data-qa-locator="filter-price-button"]');
+  var priceInputs = panel.querySelectorAll('.price-range-filter input');
+
+  function applyPrice() {
+    var min = priceInputs[0].value.trim();
+    var max = priceInputs[1].value.trim();
+    navigate(function (params) {
+      if (min || max) params.set('price', min + '-' + max);
+      else params.delete('price');
+    });
+  }
+
+  priceBtn.addEventListener('click', applyPrice);
+  priceInputs.forEach(function (input) {
+    input.addEventListener('keydown', function (event) {
+      if (event.key === 'Enter') applyPrice();
+    });
+  });
+})();
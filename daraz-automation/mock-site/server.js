@@ -0,0 +1,267 @@
+// mock-site/server.js
+// ─────────────────────────────────────────────────────────────────────────────
+// Offline Daraz stand-in storefront. Started by the Playwright `webServer`
+// entry when DARAZ_SITE=local, or by hand with `npm run serve:mock`.
+// Plain Node `http` — no extra dependencies.
+// ─────────────────────────────────────────────────────────────────────────────
+
+const http = require('http');
+const fs = require('fs');
+const path = require('path');
+
+const catalog = require('./catalog');
+const views = require('./views');
+const CatalogQuery = require('../utils/CatalogQuery');
+const { LOCAL_PORT } = require('../config/constants');
+
+const PUBLIC_DIR = path.join(__dirname, 'public');
+const PAGE_SIZE = 12;  // daraz.pk shows 40; smaller here so the catalog spans pages
+const STATIC_TYPES = { '.js': 'text/javascript', '.css': 'text/css' };
+
+function send(res, status, body, type = 'text/html; charset=utf-8') {
+  res.writeHead(status, { 'Content-Type': type, 'Cache-Control': 'no-store' });
+  res.end(body);
+}
+
+/**
+ * JSON value of a cookie set by site.js, or `fallback` when missing / unparsable.
+ * @param {http.IncomingMessage} req
+ * @param {string} name
+ * @param {*} fallback
+ * @returns {*}
+ */
+function readCookie(req, name, fallback) {
+  const cookie = (req.headers.cookie || '').split(/;\s*/).find((c) => c.startsWith(`${name}=`));
+  if (!cookie) return fallback;
+  try {
+    return JSON.parse(decodeURIComponent(cookie.slice(name.length + 1)));
+  } catch {
+    return fallback;
+  }
+}
+
+/**
+ * Delivery address chosen in the location picker (`location` cookie),
+ * falling back to the default when it names a place we do not deliver to.
+ * @param {http.IncomingMessage} req
+ * @returns {{ province: string, city: string, area: string }}
+ */
+function deliveryLocation(req) {
+  const location = readCookie(req, 'location', null);
+  const areas = location && (catalog.LOCATIONS[location.province] || {})[location.city];
+  return areas && areas.includes(location.area) ? location : catalog.DEFAULT_LOCATION;
+}
+
+// ── Route handlers ─────────────────────────────────────────────────────────
+
+/**
+ * Map a parsed catalog URL onto the filter shape catalog.applyFilters() expects.
+ * @param {object} query - Result of CatalogQuery.parse()
+ * @returns {object}
+ */
+function toFilters(query) {
+  return {
+    brands: query.brands,
+    price: query.price || {},
+    rating: query.rating >= 1 && query.rating <= 5 ? query.rating : undefined,
+    locations: query.location,
+    services: query.service,
+    category: query.category || undefined,
+  };
+}
+
+/**
+ * Search results (`/catalog/?q=…`) and category listings (`/<category>/`)
+ * share one handler. A keyword that names a category redirects to that
+ * category's listing; a keyword with no matches is spell-corrected when a
+ * close catalog word exists.
+ * @param {URL} url
+ * @param {http.ServerResponse} res
+ * @param {{ label: string, value: string }} [category] - Set for category listings
+ */
+function handleCatalog(url, res, category) {
+  const query = CatalogQuery.parse(url);
+  const filters = toFilters(query);
+  let { q } = query;
+  let correction = null;
+
+  if (category) {
+    filters.category = category.value;
+  } else {
+    const named = catalog.findCategory(CatalogQuery.slug(q));
+    if (named && [...url.searchParams.keys()].every((name) => name === 'q')) {
+      res.writeHead(302, { Location: `/${named.value}/` });
+      return res.end();
+    }
+  }
+
+  // Facet counts come from the keyword matches, before any filter narrows them
+  let matches = catalog.searchProducts(q);
+  if (category) {
+    matches = catalog.applyFilters(matches, { category: category.value });
+  } else if (matches.length === 0 && q.trim()) {
+    const suggestion = catalog.suggestCorrection(q);
+    if (suggestion && catalog.searchProducts(suggestion).length > 0) {
+      correction = { from: q, to: suggestion };
+      q = suggestion;
+      matches = catalog.searchProducts(q);
+    }
+  }
+
+  const sort = url.searchParams.get('sort') || 'popularity';
+  const results = catalog.sortProducts(catalog.applyFilters(matches, filters), sort);
+
+  const pageCount = Math.max(1, Math.ceil(results.length / PAGE_SIZE));
+  const pageNumber = query.page;
+  const products = results.slice((pageNumber - 1) * PAGE_SIZE, pageNumber * PAGE_SIZE);
+
+  return send(res, 200, views.catalogPage({
+    q,
+    url,
+    category,
+    correction,
+    products,
+    total: results.length,
+    pageNumber,
+    pageCount,
+    facets: catalog.facets(matches),
+    filters,
+    sort,
+  }));
+}
+
+/**
+ * Product detail page. `skuId` comes from the "-s<sku>" URL suffix Daraz
+ * appends once a variant is picked; without it the default SKU is shown.
+ * @param {http.IncomingMessage} req
+ * @param {http.ServerResponse} res
+ * @param {number} id
+ * @param {number} [skuId]
+ */
+function handleProduct(req, res, id, skuId) {
+  const product = catalog.findProduct(id);
+  if (!product) return send(res, 404, views.notFoundPage());
+  if (product.delisted) return send(res, 404, views.notFoundPage('This product is no longer available.'));
+  return send(res, 200, views.productPage(product, skuId, deliveryLocation(req)));
+}
+
+/**
+ * Delivery block fragment for `?item=<id>`, re-rendered by site.js after the
+ * shopper picks a new location (Daraz refreshes it over XHR the same way).
+ * @param {http.IncomingMessage} req
+ * @param {http.ServerResponse} res
+ * @param {URL} url
+ */
+function handleDelivery(req, res, url) {
+  const product = catalog.findProduct(Number(url.searchParams.get('item')));
+  if (!product) return send(res, 404, 'Unknown item', 'text/plain');
+  return send(res, 200, views.deliveryBlock(product, deliveryLocation(req)));
+}
+
+function handleStatic(file, res) {
+  const filePath = path.join(PUBLIC_DIR, path.basename(file));
+  fs.readFile(filePath, (err, data) => {
+    if (err) return send(res, 404, 'Not found', 'text/plain');
+    return send(res, 200, data, STATIC_TYPES[path.extname(filePath)] || 'application/octet-stream');
+  });
+}
+
+/**
+ * Cart page. The cart lives in a `cart` cookie that site.js maintains —
+ * JSON `[{ id, sku, qty }]` — so parallel test browsers never share one.
+ * @param {http.IncomingMessage} req
+ * @param {http.ServerResponse} res
+ */
+function handleCart(req, res) {
+  const entries = readCookie(req, 'cart', []);
+  const lines = entries.map(({ id, sku: skuId, qty }) => {
+    const product = catalog.findProduct(Number(id));
+    if (!product) return null;
+    const variants = catalog.variantsOf(product);
+    const sku = variants && variants.skus.find((s) => s.id === Number(skuId));
+    return { product, sku: sku || null, qty: Math.max(1, Number(qty) || 1), price: sku ? sku.price : product.price };
+  }).filter(Boolean);
+
+  return send(res, 200, views.cartPage(lines));
+}
+
+/**
+ * Seller storefront at /shop/<slug>/, with `?q=` searching within the store.
+ * @param {http.ServerResponse} res
+ * @param {string} slug
+ * @param {URL} url
+ */
+function handleStore(res, slug, url) {
+  const q = (url.searchParams.get('q') || '').trim();
+  const store = catalog.storeProducts(slug, q);
+  if (!store) return send(res, 404, views.notFoundPage());
+  return send(res, 200, views.storePage({ ...store, q }));
+}
+
+/**
+ * Review list fragment for `?item=<id>&page=&sort=&stars=`, fetched by
+ * site.js when the shopper pages, sorts or filters the reviews.
+ * @param {http.ServerResponse} res
+ * @param {URL} url
+ */
+function handleReviews(res, url) {
+  const product = catalog.findProduct(Number(url.searchParams.get('item')));
+  if (!product) return send(res, 404, 'Unknown item', 'text/plain');
+  return send(res, 200, views.reviewList(product, {
+    page: Number(url.searchParams.get('page')) || 1,
+    sort: url.searchParams.get('sort') || 'relevance',
+    stars: Number(url.searchParams.get('stars')) || undefined,
+  }));
+}
+
+/**
+ * Route a request to the matching page.
+ * @param {http.IncomingMessage} req
+ * @param {http.ServerResponse} res
+ */
+function router(req, res) {
+  const url = new URL(req.url, `http://${req.headers.host || 'localhost'}`);
+  const { pathname } = url;
+  let match;
+
+  if (pathname === '/') return send(res, 200, views.homePage());
+  if (pathname === '/catalog/' || pathname === '/catalog') return handleCatalog(url, res);
+  if (pathname === '/suggest') {
+    return send(res, 200, JSON.stringify(catalog.suggest(url.searchParams.get('q') || '')), 'application/json');
+  }
+  if ((match = pathname.match(/^\/products\/[\w-]*-i(\d+)(?:-s(\d+))?\.html$/))) {
+    return handleProduct(req, res, Number(match[1]), match[2] && Number(match[2]));
+  }
+  if (pathname === '/cart/' || pathname === '/cart') return handleCart(req, res);
+  if ((match = pathname.match(/^\/shop\/([a-z0-9-]+)\/?$/))) return handleStore(res, match[1], url);
+  if (pathname === '/delivery') return handleDelivery(req, res, url);
+  if (pathname === '/reviews') return handleReviews(res, url);
+  if ((match = pathname.match(/^\/img\/(\d+)-(\d+)\.svg$/))) {
+    const [id, n] = [Number(match[1]), Number(match[2])];
+    if (!catalog.findProduct(id) || n < 1 || n > catalog.GALLERY_SIZE) return send(res, 404, 'Not found', 'text/plain');
+    return send(res, 200, views.productImage(id, n), 'image/svg+xml');
+  }
+  if ((match = pathname.match(/^\/static\/([\w.-]+)$/))) return handleStatic(match[1], res);
+  if (pathname === '/favicon.ico') return send(res, 204, '');
+  if ((match = pathname.match(/^\/([a-z0-9-]+)\/$/)) && catalog.findCategory(match[1])) {
+    return handleCatalog(url, res, catalog.findCategory(match[1]));
+  }
+
+  return send(res, 404, views.notFoundPage());
+}
+
+/**
+ * Create (but do not start) the storefront server.
+ * @returns {http.Server}
+ */
+function createServer() {
+  return http.createServer(router);
+}
+
+if (require.main === module) {
+  createServer().listen(LOCAL_PORT, '127.0.0.1', () => {
+    console.log(`[MockSite] Daraz stand-in listening on http://127.0.0.1:${LOCAL_PORT}`);
+  });
+}
+
+module.exports = { createServer };
@@ -0,0 +1,903 @@
+// mock-site/views.js
+// ─────────────────────────────────────────────────────────────────────────────
+// HTML templates for the offline storefront. Markup mirrors the class names
+// and data-qa-locator attributes the page objects target on daraz.pk.
+// ─────────────────────────────────────────────────────────────────────────────
+
+const {
+  productUrl, categories, variantsOf, deliveryOptions, LOCATIONS, DEFAULT_LOCATION, ratingHistogram, reviewPage,
+  sellerOf, GALLERY_SIZE, originalPriceOf, promotionsOf,
+} = require('./catalog');
+const { SORT_OPTIONS } = require('../config/constants');
+
+/**
+ * Escape text for safe interpolation into HTML.
+ * @param {*} value
+ * @returns {string}
+ */
+function esc(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+/**
+ * Format a PKR amount the way product cards display it ("Rs 1,299").
+ * @param {number} amount
+ * @returns {string}
+ */
+function money(amount) {
+  return `Rs ${amount.toLocaleString('en-US')}`;
+}
+
+/**
+ * Format an ISO date the way Daraz prints dates ("13 Aug 2026").
+ * @param {string} iso - "YYYY-MM-DD"
+ * @returns {string}
+ */
+function formatDay(iso) {
+  return new Date(`${iso}T00:00:00Z`)
+    .toLocaleDateString('en-GB', { day: 'numeric', month: 'short', year: 'numeric', timeZone: 'UTC' });
+}
+
+/**
+ * Shared page chrome: header with the search box, then the page body.
+ * @param {{ title: string, body: string, query?: string }} opts
+ * @returns {string}
+ */
+function layout({ title, body, query = '' }) {
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="utf-8">
+  <title>${esc(title)}</title>
+  <link rel="stylesheet" href="/static/site.css">
+</head>
+<body>
+  <header class="site-header">
+    <a class="logo" href="/" aria-label="Daraz">Daraz</a>
+    <form class="search-box" action="/catalog/" method="get">
+      <input id="q" name="q" type="search" placeholder="Search in Daraz" value="${esc(query)}" autocomplete="off">
+      <button type="submit" class="search-btn">Search</button>
+      <div class="search-suggestions" role="listbox" hidden></div>
+    </form>
+    <a class="cart-icon" href="/cart/" data-qa-locator="cart">Cart <span class="cart-num">0</span></a>
+  </header>
+  ${body}
+  <script src="/static/site.js"></script>
+</body>
+</html>`;
+}
+
+/**
+ * Hover-driven category mega-menu: top-level categories, each opening a
+ * sub-menu of leaf categories that link to their listings.
+ * @returns {string}
+ */
+function categoryMenu() {
+  const tree = new Map();
+  for (const c of categories()) {
+    if (!tree.has(c.path[0])) tree.set(c.path[0], []);
+    tree.get(c.path[0]).push(c);
+  }
+
+  const roots = [...tree].map(([root, leaves], i) => `
+      <li class="lzd-site-menu-root-item" id="Level_1_Category_No${i + 1}">
+        <span>${esc(root)}</span>
+        <ul class="lzd-site-menu-sub">${leaves.map((c) => `
+          <li class="lzd-site-menu-sub-item"><a href="/${c.value}/"><span>${esc(c.label)}</span></a></li>`).join('')}
+        </ul>
+      </li>`).join('');
+
+  return `
+    <ul class="lzd-site-menu-root" data-spm="cate_1">${roots}
+    </ul>`;
+}
+
+/**
+ * Home page with the category mega-menu and a dismissible promo popup, like
+ * the one daraz.pk shows.
+ * @returns {string}
+ */
+function homePage() {
+  return layout({
+    title: 'Online Shopping in Pakistan: Fashion, Electronics & Groceries | Daraz.pk',
+    body: `
+  <div class="promo-popup" role="dialog">
+    <button class="close-btn" aria-label="Close">×</button>
+    <p>11.11 Sale — up to 80% off</p>
+  </div>
+  <main class="home">
+    <nav class="lzd-site-nav-menu">${categoryMenu()}
+    </nav>
+    <h2>Flash Sale</h2>
+    <p>Search above to browse the catalog.</p>
+  </main>`,
+  });
+}
+
+/**
+ * One product card in the results grid. The whole card is a link so a click
+ * anywhere on it opens the product, as on daraz.pk.
+ * @param {object} product
+ * @returns {string}
+ */
+function productCard(product) {
+  const discount = Math.round(((product.originalPrice - product.price) / product.originalPrice) * 100);
+  const badges = [
+    product.lazMall ? '<span class="badge badge-lazmall">LazMall</span>' : '',
+    product.freeShipping ? '<span class="badge badge-free-shipping">Free Shipping</span>' : '',
+    product.sponsored ? '<span class="badge badge-sponsored">Sponsored</span>' : '',
+  ].join('');
+
+  return `
+      <div class="product-card" data-qa-locator="product-item" data-item-id="${product.id}">
+        <a href="${productUrl(product)}">
+          <img src="/img/${product.id}-1.svg" alt="${esc(product.title)}" width="188" height="188">
+          <div class="title">${esc(product.title)}</div>
+          <div class="product-price" data-qa-locator="product-price">${money(product.price)}</div>
+          ${discount > 0 ? `<div class="price-original"><del>${money(product.originalPrice)}</del> <span class="discount">-${discount}%</span></div>` : ''}
+          <div class="rating" data-rating="${product.rating}" aria-label="Rated ${product.rating} out of 5">
+            <span class="rating-review">(${product.reviews})</span>
+          </div>
+          <div class="badges">${badges}</div>
+          <span class="location">${esc(product.location)}</span>
+        </a>
+      </div>`;
+}
+
+/**
+ * Copy of the current catalog URL with one parameter replaced (or removed when
+ * `value` is empty). Any page number is dropped, as Daraz does on filter change.
+ * @param {URL} url
+ * @param {string} name
+ * @param {string|number|null} value
+ * @returns {string}
+ */
+function withParam(url, name, value) {
+  const next = new URL(url);
+  if (value === null || value === '') next.searchParams.delete(name);
+  else next.searchParams.set(name, value);
+  next.searchParams.delete('page');
+  return `${next.pathname}${next.search}`;
+}
+
+/**
+ * Copy of the current catalog URL with one value dropped from a "--" joined
+ * multi-select parameter (the parameter goes entirely once empty).
+ * @param {URL} url
+ * @param {string} name
+ * @param {string} value
+ * @returns {string}
+ */
+function withoutValue(url, name, value) {
+  const remaining = (url.searchParams.get(name) || '').split('--').filter((v) => v && v !== value);
+  return withParam(url, name, remaining.join('--'));
+}
+
+/**
+ * "Filters:" bar of removable chips above the grid, one per active filter,
+ * with a "Clear All" link that keeps only the keyword and sort order.
+ * @param {URL} url
+ * @param {object} facets
+ * @param {object} filters
+ * @returns {string}
+ */
+function activeFilters(url, facets, filters) {
+  const labelOf = (options, value) => (options.find((o) => o.value === value) || { label: value }).label;
+  const chips = [];
+
+  if (filters.category) {
+    chips.push({ facet: 'category', label: labelOf(facets.category, filters.category), href: withParam(url, 'category', '') });
+  }
+  for (const [facet, param, values] of [
+    ['brand', 'brand', filters.brands],
+    ['service', 'service', filters.services],
+    ['location', 'location', filters.locations],
+  ]) {
+    values.forEach((value) => chips.push({ facet, label: labelOf(facets[facet], value), href: withoutValue(url, param, value) }));
+  }
+  if (filters.rating) {
+    chips.push({ facet: 'rating', label: `${filters.rating} Stars${filters.rating < 5 ? ' & Up' : ''}`, href: withParam(url, 'rating', '') });
+  }
+  if (filters.price.min != null || filters.price.max != null) {
+    const bound = (v) => (v == null ? '…' : money(v));
+    chips.push({ facet: 'price', label: `${bound(filters.price.min)} - ${bound(filters.price.max)}`, href: withParam(url, 'price', '') });
+  }
+
+  if (!chips.length) return '';
+
+  const clearAll = new URL(url);
+  for (const name of ['brand', 'price', 'rating', 'location', 'service', 'category', 'page']) clearAll.searchParams.delete(name);
+
+  return `
+      <div class="active-filters">
+        <span class="active-filters-title">Filters:</span>${chips.map((c) => `
+        <span class="filter-tag" data-facet="${c.facet}">
+          ${esc(c.label)} <a class="filter-tag-close" href="${esc(c.href)}" aria-label="Remove ${esc(c.label)}">×</a>
+        </span>`).join('')}
+        <a class="clear-all" href="${esc(`${clearAll.pathname}${clearAll.search}`)}">Clear All</a>
+      </div>`;
+}
+
+// Options shown per facet before the "View More" toggle, as on daraz.pk
+const VISIBLE_OPTIONS = 5;
+
+/**
+ * A multi-select facet rendered as checkboxes ("brand", "service", "location").
+ * Options past VISIBLE_OPTIONS stay hidden until "View More" is clicked.
+ * @param {string} title
+ * @param {string} name - Query parameter the facet writes to
+ * @param {object[]} options
+ * @param {string[]} selected
+ * @returns {string}
+ */
+function checkboxFacet(title, name, options, selected) {
+  const items = options.map((o, i) => `
+        <label class="checkbox-item${i >= VISIBLE_OPTIONS ? ' more-option' : ''}"${i >= VISIBLE_OPTIONS ? ' hidden' : ''}>
+          <input type="checkbox" data-facet="${name}" value="${esc(o.value)}"${selected.includes(o.value) ? ' checked' : ''}>
+          ${esc(o.label)} <span class="count">(${o.count})</span>
+        </label>`).join('');
+  const more = options.length > VISIBLE_OPTIONS ? `
+        <button type="button" class="view-more">View More</button>` : '';
+  return `
+      <div class="filter-group" data-facet="${name}">
+        <h3>${title}</h3>${items}${more}
+      </div>`;
+}
+
+/**
+ * Ant Design-style pager, the component daraz.pk uses under the product grid.
+ * @param {URL} url
+ * @param {number} pageNumber
+ * @param {number} pageCount
+ * @returns {string}
+ */
+function pager(url, pageNumber, pageCount) {
+  const pageHref = (n) => {
+    const next = new URL(url);
+    next.searchParams.set('page', n);
+    return esc(`${next.pathname}${next.search}`);
+  };
+  const edge = (kind, title, target, disabled) => `
+        <li class="ant-pagination-${kind}${disabled ? ' ant-pagination-disabled' : ''}" title="${title}" aria-disabled="${disabled}">
+          ${disabled ? `<span>${title}</span>` : `<a href="${pageHref(target)}">${title}</a>`}
+        </li>`;
+
+  const items = [];
+  for (let n = 1; n <= pageCount; n++) {
+    items.push(`
+        <li class="ant-pagination-item ant-pagination-item-${n}${n === pageNumber ? ' ant-pagination-item-active' : ''}" title="${n}">
+          <a href="${pageHref(n)}">${n}</a>
+        </li>`);
+  }
+
+  return `
+      <ul class="ant-pagination">${edge('prev', 'Previous Page', pageNumber - 1, pageNumber <= 1)}${items.join('')}${edge('next', 'Next Page', pageNumber + 1, pageNumber >= pageCount)}
+      </ul>`;
+}
+
+/**
+ * Search results / catalog page.
+ * @param {{ q: string, url: URL, category?: object, correction?: { from: string, to: string },
+ *           products: object[], total: number, pageNumber: number, pageCount: number,
+ *           facets: object, filters: object, sort: string }} model
+ * @returns {string}
+ */
+function catalogPage({ q, url, category, correction, products, total, pageNumber, pageCount, facets, filters, sort }) {
+  // On a category listing the Category facet links to sibling listings
+  const categoryHref = (value) => (category ? `/${value}/` : withParam(url, 'category', value));
+  const categoryLinks = facets.category.map((c) => `
+        <a class="category-link${filters.category === c.value ? ' selected' : ''}" data-value="${esc(c.value)}" href="${esc(categoryHref(c.value))}">
+          ${esc(c.label)} <span class="count">(${c.count})</span>
+        </a>`).join('');
+
+  const ratingLinks = [5, 4, 3, 2, 1].map((stars) => `
+        <a class="rating-filter-item${filters.rating === stars ? ' selected' : ''}" data-value="${stars}" href="${withParam(url, 'rating', stars)}" aria-label="${stars} stars${stars < 5 ? ' and up' : ''}">
+          ${'★'.repeat(stars)}${'☆'.repeat(5 - stars)} ${stars} Stars${stars < 5 ? ' &amp; Up' : ''}
+        </a>`).join('');
+
+  const sortOptions = Object.values(SORT_OPTIONS).map((o) => `
+            <option value="${o.param}"${o.param === sort ? ' selected' : ''}>${esc(o.label)}</option>`).join('');
+
+  const heading = category ? category.label : q;
+  const breadcrumb = category ? `
+      <ul class="breadcrumb">
+        <li class="breadcrumb_item"><a class="breadcrumb_item_anchor" href="/">Home</a></li>${category.path.map((name) => `
+        <li class="breadcrumb_item"><span class="breadcrumb_item_text">${esc(name)}</span></li>`).join('')}
+      </ul>` : '';
+  const banner = correction ? `
+      <div class="search-correction">
+        Showing results for "<a class="corrected-term" href="/catalog/?q=${encodeURIComponent(correction.to)}">${esc(correction.to)}</a>".
+        Did you mean "${esc(correction.from)}"?
+      </div>` : '';
+  const grid = products.length ? `
+      <div class="product-grid">${products.map(productCard).join('')}
+      </div>${pager(url, pageNumber, pageCount)}` : `
+      <div class="no-result">
+        <h3>Search No Result</h3>
+        <p>We're sorry. We cannot find any matches for your search term.</p>
+      </div>`;
+
+  return layout({
+    title: `${heading || 'All Products'} - Buy ${heading || 'products'} at Best Price in Pakistan | Daraz.pk`,
+    query: category ? '' : q,
+    body: `
+  <main class="catalog">
+    <aside class="filter-panel" data-qa-locator="filter-panel">
+      <div class="filter-group" data-facet="category">
+        <h3>Category</h3>${categoryLinks}
+      </div>${checkboxFacet('Brand', 'brand', facets.brand, filters.brands)}${checkboxFacet('Service', 'service', facets.service, filters.services)}${checkboxFacet('Location', 'location', facets.location, filters.locations)}
+      <div class="filter-group" data-facet="rating">
+        <h3>Rating</h3>${ratingLinks}
+      </div>
+      <div class="filter-group" data-facet="price">
+        <h3>Price</h3>
+        <div class="price-range-filter">
+          <input type="number" placeholder="Min" value="${filters.price.min ?? ''}">
+          <input type="number" placeholder="Max" value="${filters.price.max ?? ''}">
+          <button type="button" data-qa-locator="filter-price-button">Apply</button>
+        </div>
+      </div>
+    </aside>
+    <section class="results">${breadcrumb}
+      <div class="results-toolbar">
+        <div class="total-items">${total.toLocaleString('en-US')} items found ${category ? 'in' : 'for'} "${esc(heading)}"</div>
+        <label class="sort-by">Sort By:
+          <select name="sort" data-qa-locator="sort-select">${sortOptions}
+          </select>
+        </label>
+      </div>${banner}${activeFilters(url, facets, filters)}${grid}
+    </section>
+  </main>`,
+  });
+}
+
+// Daraz caps how many units of one SKU a single order may hold
+const MAX_PER_ORDER = 10;
+
+/**
+ * The "− [n] +" quantity control used on the PDP and in the cart.
+ * @param {number} value
+ * @param {number} max
+ * @returns {string}
+ */
+function numberPicker(value, max) {
+  return `<span class="next-number-picker">
+          <button type="button" class="next-number-picker-handler-down" aria-label="Decrease">−</button>
+          <input class="next-number-picker-input" type="number" value="${value}" min="1" max="${max}">
+          <button type="button" class="next-number-picker-handler-up" aria-label="Increase">+</button>
+        </span>`;
+}
+
+/**
+ * Stock line under the price, worded like Daraz's quantity hint.
+ * @param {number} stock
+ * @returns {string}
+ */
+function stockLabel(stock) {
+  if (stock <= 0) return 'Out of Stock';
+  if (stock <= 5) return `Only ${stock} items left`;
+  return 'In Stock';
+}
+
+/**
+ * Whether `value` of `group` can be bought together with the other groups'
+ * current selections.
+ * @param {{ skus: object[] }} variants
+ * @param {Object<string, string>} selection
+ * @param {string} group
+ * @param {string} value
+ * @returns {boolean}
+ */
+function variantAvailable(variants, selection, group, value) {
+  return variants.skus.some((sku) => sku.stock > 0 &&
+    Object.entries({ ...selection, [group]: value }).every(([g, v]) => sku.options[g] === v));
+}
+
+/**
+ * SKU option groups ("Color Family", "Storage Capacity", "Size"). The SKU
+ * table is embedded as JSON so site.js can switch price, stock and image.
+ * @param {object} product
+ * @param {{ groups: Object<string, string[]>, skus: object[] }} variants
+ * @param {object} sku - Currently selected SKU
+ * @returns {string}
+ */
+function skuSelector(product, variants, sku) {
+  const groups = Object.entries(variants.groups).map(([group, values]) => `
+        <div class="sku-prop" data-group="${esc(group)}">
+          <h6 class="section-title">${esc(group)}</h6>
+          <div class="sku-prop-content">${values.map((value) => {
+    const classes = ['sku-variable-name'];
+    if (sku.options[group] === value) classes.push('sku-variable-name-selected');
+    if (!variantAvailable(variants, sku.options, group, value)) classes.push('sku-variable-name-disabled');
+    return `
+            <span class="${classes.join(' ')}" data-value="${esc(value)}" title="${esc(value)}">${esc(value)}</span>`;
+  }).join('')}
+          </div>
+        </div>`).join('');
+  const data = {
+    productId: product.id,
+    groups: variants.groups,
+    skus: variants.skus.map((s) => ({ ...s, originalPrice: originalPriceOf(product, s) })),
+  };
+
+  return `
+      <div class="sku-selector" data-qa-locator="sku-selector">${groups}
+      </div>
+      <script type="application/json" id="sku-data">${JSON.stringify(data)}</script>`;
+}
+
+/**
+ * Location picker dialog, opened by the delivery block's CHANGE button. The
+ * province → city → area tree is embedded for site.js to walk.
+ * @returns {string}
+ */
+function locationPicker() {
+  return `
+    <div class="location-picker" role="dialog" aria-label="Delivery location" hidden>
+      <div class="location-picker__header">
+        <span class="location-picker__path"></span>
+        <button type="button" class="location-picker__close" aria-label="Close">×</button>
+      </div>
+      <ul class="location-list"></ul>
+      <script type="application/json" id="location-data">${JSON.stringify(LOCATIONS)}</script>
+    </div>`;
+}
+
+/**
+ * Delivery widget: address, one row per delivery option (title, ETA, fee),
+ * the COD row, then return / warranty service items.
+ * @param {object} product
+ * @param {{ province: string, city: string, area: string }} location
+ * @returns {string}
+ */
+function deliveryBlock(product, location) {
+  const eta = ({ etaFrom, etaTo }) => (etaFrom === etaTo ? `${etaFrom} day(s)` : `${etaFrom} - ${etaTo} day(s)`);
+  const rows = deliveryOptions(product, location).map((option) => `
+      <div class="delivery-option-item delivery-option-item_type_${option.type}">
+        <span class="delivery-option-item__title">${esc(option.title)}</span>
+        <span class="delivery-option-item__time">${eta(option)}</span>
+        <span class="delivery-option-item__shipping-fee">${option.fee === 0 ? 'Free' : money(option.fee)}</span>
+      </div>`).join('');
+
+  return `
+    <div class="delivery" data-qa-locator="delivery">
+      <div class="delivery-header"><span class="delivery-header__title">Delivery Options</span></div>
+      <div class="location">
+        <span class="location__address">${esc(`${location.province}, ${location.city} - ${location.area}`)}</span>
+        <button type="button" class="location-link">CHANGE</button>
+      </div>${rows}
+      <div class="delivery-option-item delivery-option-item_type_COD">
+        <span class="delivery-option-item__title">${product.cod ? 'Cash on Delivery Available' : 'Cash on Delivery not available'}</span>
+      </div>
+      <div class="service-item">7 Days Returns</div>
+    </div>`;
+}
+
+const REVIEW_SORTS = [
+  ['relevance', 'Relevance'],
+  ['recent', 'Recent'],
+  ['rating-desc', 'Rating: High to Low'],
+  ['rating-asc', 'Rating: Low to High'],
+];
+
+/**
+ * Star icons for a rating, with the value in the aria-label.
+ * @param {number} stars - Whole stars, 0–5
+ * @returns {string}
+ */
+function starIcons(stars) {
+  const icons = [1, 2, 3, 4, 5].map((n) => `<i class="star ${n <= stars ? 'star-full' : 'star-empty'}"></i>`).join('');
+  return `<span class="container-star" aria-label="${stars} out of 5 stars">${icons}</span>`;
+}
+
+/**
+ * One page of the review list plus its pager; also served alone by
+ * /reviews so site.js can swap pages, sort order and star filter in place.
+ * @param {object} product
+ * @param {{ page?: number, sort?: string, stars?: number }} [query]
+ * @returns {string}
+ */
+function reviewList(product, query = {}) {
+  const { reviews, page, pageCount } = reviewPage(product, query);
+
+  const items = reviews.map((review) => `
+        <div class="item" data-review-id="${review.id}">
+          <div class="top">${starIcons(review.stars)}<span class="title right">${formatDay(review.date)}</span></div>
+          <div class="middle"><span>by ${esc(review.author)}</span> <span class="verify">Verified Purchase</span></div>
+          <div class="item-content">
+            <div class="content">${esc(review.text)}</div>${review.variant ? `
+            <div class="skuInfo">${esc(review.variant)}</div>` : ''}${review.photos.length ? `
+            <div class="review-image">${review.photos.map((src) => `<img class="review-image__item" src="${src}" alt="" width="64" height="64">`).join('')}</div>` : ''}
+          </div>
+        </div>`).join('');
+
+  const button = (label, target, cls, disabled) =>
+    `<button type="button" class="next-pagination-item ${cls}" data-page="${target}"${disabled ? ' disabled' : ''}>${label}</button>`;
+  const numbers = Array.from({ length: pageCount }, (_, i) => i + 1)
+    .filter((n) => n === 1 || n === pageCount || Math.abs(n - page) <= 2)
+    .map((n) => button(n, n, n === page ? 'current' : '', false)).join('');
+
+  return `
+      <div class="mod-reviews" data-page="${page}" data-page-count="${pageCount}">${items || `
+        <div class="review-empty">This product has no reviews with this filter.</div>`}
+      </div>
+      <div class="review-pagination next-pagination">
+        ${button('‹', page - 1, 'prev', page <= 1)}${numbers}${button('›', page + 1, 'next', page >= pageCount)}
+      </div>`;
+}
+
+/**
+ * Ratings & Reviews block: average, total, 5 → 1 star histogram, then the
+ * sortable / filterable review list.
+ * @param {object} product
+ * @returns {string}
+ */
+function reviewsSection(product) {
+  const histogram = ratingHistogram(product);
+  const total = Object.values(histogram).reduce((sum, n) => sum + n, 0);
+  const average = total ? [5, 4, 3, 2, 1].reduce((sum, n) => sum + n * histogram[n], 0) / total : 0;
+
+  const bars = [5, 4, 3, 2, 1].map((stars) => `
+          <li data-stars="${stars}">${starIcons(stars)}
+            <span class="progress-wrap"><span class="bar" style="width: ${total ? Math.round((histogram[stars] / total) * 100) : 0}%"></span></span>
+            <span class="percent">${histogram[stars]}</span>
+          </li>`).join('');
+
+  return `
+    <div class="pdp-mod-review" data-item-id="${product.id}">
+      <h2 class="pdp-mod-section-title">Ratings &amp; Reviews of ${esc(product.title)}</h2>
+      <div class="mod-rating">
+        <div class="summary">
+          <div class="score"><span class="score-average">${average.toFixed(1)}</span><span class="score-max">/5</span></div>
+          <div class="average">${starIcons(Math.round(average))}</div>
+          <div class="count">${total.toLocaleString('en-US')} Ratings</div>
+        </div>
+        <ul class="detail">${bars}
+        </ul>
+      </div>
+      <div class="mod-reviews-toolbar">
+        <label>Sort: <select class="review-sort" name="review-sort">${REVIEW_SORTS.map(([value, label]) => `
+          <option value="${value}">${label}</option>`).join('')}
+        </select></label>
+        <label>Filter: <select class="review-filter" name="review-filter">
+          <option value="">All stars</option>${[5, 4, 3, 2, 1].map((n) => `
+          <option value="${n}">${n} star${n > 1 ? 's' : ''}</option>`).join('')}
+        </select></label>
+      </div>
+      <div class="review-list-wrap">${reviewList(product)}
+      </div>
+    </div>`;
+}
+
+/**
+ * Main product image, the thumbnail strip that switches it and the hidden
+ * full-size preview opened by clicking the main image.
+ * @param {object} product
+ * @param {number} selected - Image shown first (1-based)
+ * @returns {string}
+ */
+function gallery(product, selected) {
+  const thumbs = Array.from({ length: GALLERY_SIZE }, (_, i) => i + 1).map((n) => `
+        <li class="item-gallery__thumbnail${n === selected ? ' item-gallery__thumbnail--active' : ''}" data-index="${n}">
+          <img src="/img/${product.id}-${n}.svg" alt="${esc(product.title)} image ${n}" width="64" height="64">
+        </li>`).join('');
+
+  return `
+    <div class="pdp-block__gallery">
+      <div class="pdp-mod-main-pic">
+        <img class="gallery-preview-panel__image" src="/img/${product.id}-${selected}.svg" alt="${esc(product.title)}" width="330" height="330">
+      </div>
+      <ul class="item-gallery">${thumbs}
+      </ul>
+      <div class="gallery-preview" role="dialog" aria-label="Image preview" hidden>
+        <button type="button" class="gallery-preview__close" aria-label="Close">×</button>
+        <img class="gallery-preview__image" src="" alt="">
+      </div>
+    </div>`;
+}
+
+/**
+ * Badge for official / LazMall stores; empty for other sellers.
+ * @param {{ official: boolean, lazMall: boolean }} seller
+ * @returns {string}
+ */
+function storeBadge(seller) {
+  if (seller.lazMall) return '<span class="seller-badge seller-badge--lazmall">LazMall</span>';
+  if (seller.official) return '<span class="seller-badge seller-badge--official">Official Store</span>';
+  return '';
+}
+
+/**
+ * "Sold by" block: store name, badge, scores and the Visit Store link.
+ * @param {object} product
+ * @returns {string}
+ */
+function sellerBlock(product) {
+  const seller = sellerOf(product);
+  const score = (label, value) => `
+        <div class="info-content"><div class="seller-info-name">${label}</div><div class="seller-info-value">${value}%</div></div>`;
+
+  return `
+    <div class="seller-container" data-qa-locator="seller">
+      <div class="seller-name__wrapper">
+        <span class="seller-name__title">Sold by</span>
+        <a class="seller-name__detail-name" href="/shop/${seller.slug}/">${esc(seller.name)}</a>${storeBadge(seller)}
+      </div>
+      <div class="pdp-seller-info-pc">${score('Positive Seller Ratings', seller.positiveRating)}${score('Ship on Time', seller.shipOnTime)}${score('Chat Response Rate', seller.chatResponse)}
+      </div>
+      <a class="seller-link" href="/shop/${seller.slug}/">Visit Store</a>
+    </div>`;
+}
+
+/**
+ * Time left as "HH:MM:SS"; whole days count into the hours.
+ * @param {number} ms
+ * @returns {string}
+ */
+function countdown(ms) {
+  const total = Math.max(0, Math.floor(ms / 1000));
+  return [Math.floor(total / 3600), Math.floor(total / 60) % 60, total % 60]
+    .map((n) => String(n).padStart(2, '0')).join(':');
+}
+
+/**
+ * Selling price with the strike-through original price and discount %, under
+ * the flash sale countdown for flash-sale items.
+ * @param {object} product
+ * @param {object|null} sku
+ * @param {{ flashSaleEnds: Date|null }} promo
+ * @returns {string}
+ */
+function priceBlock(product, sku, promo) {
+  const price = sku ? sku.price : product.price;
+  const original = originalPriceOf(product, sku);
+  const discount = Math.round(((original - price) / original) * 100);
+
+  return `${promo.flashSaleEnds ? `
+      <div class="pdp-flash-sale" data-ends-at="${promo.flashSaleEnds.toISOString()}">
+        <span class="flash-sale-title">Flash Sale</span>
+        <span class="flash-sale-countdown">Ends in ${countdown(promo.flashSaleEnds - Date.now())}</span>
+      </div>` : ''}
+      <div class="pdp-price">${money(price)}</div>${discount > 0 ? `
+      <div class="pdp-price-origin">
+        <del class="pdp-price_type_deleted">${money(original)}</del>
+        <span class="pdp-product-price__discount">-${discount}%</span>
+      </div>` : ''}`;
+}
+
+/**
+ * Store vouchers and installment plans; empty when there are neither.
+ * @param {{ vouchers: object[], installments: object[] }} promo
+ * @returns {string}
+ */
+function promotionBlock(promo) {
+  if (promo.vouchers.length === 0 && promo.installments.length === 0) return '';
+  const vouchers = promo.vouchers.map((v) => `
+          <li class="voucher-item">
+            <span class="voucher-amount">${money(v.amount)} OFF</span>
+            <span class="voucher-condition">Min. spend ${money(v.minSpend)}</span>
+            <button type="button" class="voucher-collect">Collect</button>
+          </li>`).join('');
+  const plans = promo.installments.map((plan) => `
+          <li class="installment-plan" data-months="${plan.months}">${money(plan.monthly)}/month for ${plan.months} months</li>`).join('');
+
+  return `
+      <div class="pdp-promotion">${vouchers ? `
+        <h6 class="section-title">Store Vouchers</h6>
+        <ul class="voucher-list">${vouchers}
+        </ul>` : ''}${plans ? `
+        <h6 class="section-title">Installments · 0% markup</h6>
+        <ul class="pdp-installment">${plans}
+        </ul>` : ''}
+      </div>`;
+}
+
+/**
+ * Machine-readable product data, as daraz.pk embeds it: a schema.org JSON-LD
+ * block and the `__moduleData__` page-data script the PDP modules render from.
+ * `<` is escaped so titles cannot close the script element.
+ * @param {object} product
+ * @param {object|null} variants
+ * @param {object|null} sku - Selected SKU
+ * @returns {string}
+ */
+function structuredData(product, variants, sku) {
+  const json = (value) => JSON.stringify(value).replace(/</g, '\\u003c');
+  const price = sku ? sku.price : product.price;
+  const stock = sku ? sku.stock : product.stock;
+  const availability = product.preOrder ? 'PreOrder' : stock !== undefined && stock <= 0 ? 'OutOfStock' : 'InStock';
+
+  const jsonLd = {
+    '@context': 'https://schema.org',
+    '@type': 'Product',
+    name: product.title,
+    sku: String(sku ? sku.id : product.id),
+    brand: { '@type': 'Brand', name: product.brand },
+    image: `/img/${product.id}-${sku ? sku.image : 1}.svg`,
+    offers: {
+      '@type': 'Offer',
+      price: price.toFixed(2),
+      priceCurrency: 'PKR',
+      availability: `https://schema.org/${availability}`,
+    },
+    aggregateRating: { '@type': 'AggregateRating', ratingValue: product.rating, reviewCount: product.reviews },
+  };
+
+  const skuInfos = {};
+  for (const entry of variants ? variants.skus : [{ id: product.id, price: product.price, stock: product.stock ?? null }]) {
+    skuInfos[entry.id] = { price: { salePrice: { value: entry.price, text: money(entry.price) } }, stock: entry.stock };
+  }
+  const moduleData = {
+    data: {
+      root: {
+        fields: {
+          primaryKey: { itemId: String(product.id), skuId: String(sku ? sku.id : product.id) },
+          product: { title: product.title, brand: { name: product.brand } },
+          skuInfos,
+          review: { ratings: { average: product.rating, rateCount: product.reviews } },
+        },
+      },
+    },
+  };
+
+  return `
+    <script type="application/ld+json">${json(jsonLd)}</script>
+    <script>var __moduleData__ = ${json(moduleData)};</script>`;
+}
+
+/**
+ * Product detail page.
+ * @param {object} product
+ * @param {number} [skuId] - Selected SKU; defaults to the first in stock
+ * @param {{ province: string, city: string, area: string }} [location] - Delivery address
+ * @returns {string}
+ */
+function productPage(product, skuId, location = DEFAULT_LOCATION) {
+  const variants = variantsOf(product);
+  const sku = variants && (variants.skus.find((s) => s.id === skuId) ||
+    variants.skus.find((s) => s.stock > 0) || variants.skus[0]);
+  const stock = sku ? sku.stock : product.stock;
+  const soldOut = stock !== undefined && stock <= 0;
+  const promo = promotionsOf(product, sku ? sku.price : product.price);
+
+  return layout({
+    title: `${product.title} | Daraz.pk`,
+    body: `
+  <main class="pdp" data-item-id="${product.id}"${sku ? ` data-sku-id="${sku.id}"` : ''}>${gallery(product, sku ? sku.image : 1)}
+    <div class="pdp-info">
+      <h1 class="pdp-product-title">${esc(product.title)}</h1>
+      <div class="pdp-product-brand">Brand: <a class="pdp-product-brand__brand-link" href="/catalog/?q=${encodeURIComponent(product.brand)}">${esc(product.brand)}</a></div>${priceBlock(product, sku, promo)}${promotionBlock(promo)}${sku ? skuSelector(product, variants, sku) : ''}
+      <div class="quantity">
+        <h6 class="section-title">Quantity</h6>
+        ${numberPicker(1, MAX_PER_ORDER)}${stock !== undefined ? `
+        <span class="quantity-content">${stockLabel(stock)}</span>` : ''}
+      </div>${product.preOrder ? `
+      <div class="pdp-pre-order">Pre-Order · ships from ${formatDay(product.preOrder)}</div>` : ''}
+      <div class="pdp-buttons">
+        <button type="button" class="buy-now"${soldOut ? ' disabled' : ''}>${product.preOrder ? 'Pre-Order Now' : 'Buy Now'}</button>
+        <button type="button" class="add-to-cart"${soldOut ? ' disabled' : ''}>Add to Cart</button>
+      </div>
+    </div>${deliveryBlock(product, location)}${locationPicker()}${sellerBlock(product)}${reviewsSection(product)}
+  </main>${structuredData(product, variants, sku)}`,
+  });
+}
+
+/**
+ * Seller storefront: header with the store's scores, a search box scoped to
+ * the store and its product grid.
+ * @param {{ seller: object, products: object[], q?: string }} opts
+ * @returns {string}
+ */
+function storePage({ seller, products, q = '' }) {
+  const grid = products.length
+    ? products.map(productCard).join('')
+    : `
+      <div class="shop-empty">No products found${q ? ` for "${esc(q)}"` : ''} in this store.</div>`;
+
+  return layout({
+    title: `${seller.name} | Daraz.pk`,
+    body: `
+  <main class="shop" data-store="${seller.slug}">
+    <div class="shop-header">
+      <h1 class="shop-name">${esc(seller.name)}</h1>${storeBadge(seller)}
+      <div class="shop-stats">
+        <span class="shop-positive-rating">${seller.positiveRating}% Positive Seller Ratings</span>
+        <span class="shop-ship-on-time">${seller.shipOnTime}% Ship on Time</span>
+      </div>
+      <form class="shop-search" action="/shop/${seller.slug}/" method="get">
+        <input name="q" type="search" placeholder="Search in Store" value="${esc(q)}">
+        <button type="submit" class="shop-search-btn">Search</button>
+      </form>
+    </div>
+    <div class="shop-product-list">${grid}
+    </div>
+  </main>`,
+  });
+}
+
+/**
+ * Shopping cart: one row per product / SKU, then the order summary.
+ * @param {{ product: object, sku: object|null, qty: number, price: number }[]} lines
+ * @returns {string}
+ */
+function cartPage(lines) {
+  const subtotal = lines.reduce((sum, line) => sum + line.price * line.qty, 0);
+  const units = lines.reduce((sum, line) => sum + line.qty, 0);
+
+  const rows = lines.map(({ product, sku, qty, price }) => `
+      <div class="cart-item" data-item-id="${product.id}"${sku ? ` data-sku-id="${sku.id}"` : ''}>
+        <img class="cart-item-img" src="/img/${product.id}-${sku ? sku.image : 1}.svg" alt="" width="80" height="80">
+        <div class="cart-item-info">
+          <a class="cart-item-title" href="${productUrl(product)}">${esc(product.title)}</a>${sku ? `
+          <div class="cart-item-variant">${Object.entries(sku.options).map(([g, v]) => `${esc(g)}: ${esc(v)}`).join(', ')}</div>` : ''}
+        </div>
+        <div class="cart-item-price">${money(price)}</div>
+        ${numberPicker(qty, MAX_PER_ORDER)}
+        <div class="cart-item-total">${money(price * qty)}</div>
+        <button type="button" class="cart-item-remove" aria-label="Delete">Delete</button>
+      </div>`).join('');
+
+  return layout({
+    title: 'Shopping Cart | Daraz.pk',
+    body: `
+  <main class="cart">
+    <section class="cart-item-list">${rows || `
+      <div class="cart-empty">There are no items in this cart</div>`}
+    </section>
+    <aside class="checkout-order-summary">
+      <h3>Order Summary</h3>
+      <div class="checkout-summary-row checkout-summary-subtotal">
+        <span class="checkout-summary-label">Subtotal (${units} items)</span>
+        <span class="checkout-summary-value">${money(subtotal)}</span>
+      </div>
+      <div class="checkout-summary-row checkout-order-total">
+        <span class="checkout-summary-label">Total</span>
+        <span class="checkout-summary-value">${money(subtotal)}</span>
+      </div>
+      <button type="button" class="checkout-btn"${lines.length ? '' : ' disabled'}>PROCEED TO CHECKOUT</button>
+    </aside>
+  </main>`,
+  });
+}
+
+/**
+ * Daraz-style "page not found" screen, also shown for delisted products.
+ * @param {string} [message]
+ * @returns {string}
+ */
+function notFoundPage(message = 'Sorry! This page could not be found.') {
+  return layout({
+    title: 'Page Not Found | Daraz.pk',
+    body: `<main class="not-found"><h1>${esc(message)}</h1></main>`,
+  });
+}
+
+/**
+ * Placeholder product image — an SVG tile with the product id on it.
+ * @param {number} id
+ * @param {number} n - Image index within the product's gallery (1-based)
+ * @returns {string}
+ */
+function productImage(id, n) {
+  const hue = (id * 47 + n * 90) % 360;
+  return `<svg xmlns="http://www.w3.org/2000/svg" width="330" height="330" viewBox="0 0 330 330">
+  <rect width="330" height="330" fill="hsl(${hue}, 55%, 70%)"/>
+  <text x="165" y="175" font-family="sans-serif" font-size="32" text-anchor="middle">${id} · ${n}</text>
+</svg>`;
+}
+
+module.exports = {
+  homePage,
+  catalogPage,
+  productPage,
+  storePage,
+  cartPage,
+  deliveryBlock,
+  reviewList,
+  notFoundPage,
+  productImage,
+};
@@ -0,0 +1,222 @@
+// pages/CartPage.js
+// ─────────────────────────────────────────────────────────────────────────────
+// Page Object for the Daraz.pk Shopping Cart
+// Responsibilities:
+//   - Open the cart
+//   - Read line items (title, variant, unit price, quantity, line total)
+//   - Change quantities and remove items
+//   - Check the subtotal against the line totals
+// ─────────────────────────────────────────────────────────────────────────────
+
+const { expect } = require('@playwright/test');
+const { dismissPopups, parseMoney } = require('../utils/helpers');
+const { CART_URL } = require('../config/constants');
+
+/**
+ * @typedef {object} CartLine
+ * @property {string}      title
+ * @property {string|null} variant    - e.g. "Color Family: Black, Storage Capacity: 128GB"
+ * @property {number|null} unitPrice  - PKR
+ * @property {number}      quantity
+ * @property {number|null} lineTotal  - PKR, as displayed
+ * @property {string|null} url        - Product page link
+ */
+
+class CartPage {
+  /**
+   * @param {import('@playwright/test').Page} page
+   */
+  constructor(page) {
+    this.page = page;
+
+    // ── Line items ────────────────────────────────────────────────────────
+    this.lineItems        = page.locator('.cart-item, [class*="cart-item-list"] [class*="item-wrap"], [data-qa-locator="cart-item"]');
+    this.emptyState       = page.locator('.cart-empty, [class*="empty-cart"]')
+      .or(page.getByText(/there are no items in (this|your) cart/i)).first();
+
+    // ── Order summary ─────────────────────────────────────────────────────
+    this.summary          = page.locator('.checkout-order-summary, [class*="order-summary"]').first();
+    this.subtotalRow      = this.summary.locator('.checkout-summary-row, [class*="summary-row"]')
+      .filter({ hasText: /subtotal/i }).first();
+    this.checkoutBtn      = page.locator('.checkout-btn, button:has-text("Proceed to checkout")').first();
+
+    // Confirmation some carts show before deleting a line
+    this.confirmRemoveBtn = page.locator('.next-dialog .next-btn-primary, [role="dialog"] button:has-text("Remove")').first();
+  }
+
+  // ── Navigation ────────────────────────────────────────────────────────────
+
+  /**
+   * Open the cart page.
+   */
+  async goto() {
+    console.log(`[CartPage] Navigating to ${CART_URL}`);
+    await this.page.goto(CART_URL, { waitUntil: 'domcontentloaded', timeout: 40_000 });
+    await dismissPopups(this.page, 1000);
+    await this.waitForCart();
+  }
+
+  /**
+   * Wait until either line items or the empty-cart state is shown.
+   */
+  async waitForCart() {
+    await Promise.race([
+      this.lineItems.first().waitFor({ state: 'visible', timeout: 15_000 }),
+      this.emptyState.waitFor({ state: 'visible', timeout: 15_000 }),
+    ]).catch(() => {});
+  }
+
+  // ── Line Items ────────────────────────────────────────────────────────────
+
+  /**
+   * Read every line in the cart.
+   * @returns {Promise<CartLine[]>}
+   */
+  async getLineItems() {
+    const raw = await this.lineItems.evaluateAll((rows) => rows.map((row) => {
+      const text = (sel) => {
+        const node = row.querySelector(sel);
+        return node ? node.textContent.replace(/\s+/g, ' ').trim() : null;
+      };
+      const link = row.querySelector('.cart-item-title, a[href*="/products/"]');
+      const qty = row.querySelector('.next-number-picker-input, input[type="number"], input');
+      return {
+        title: text('.cart-item-title, [class*="title"]') || '',
+        variant: text('.cart-item-variant, [class*="sku"], [class*="variation"]'),
+        unitPrice: text('.cart-item-price, [class*="current-price"]'),
+        quantity: qty ? qty.value : text('[class*="quantity"]'),
+        lineTotal: text('.cart-item-total, [class*="item-total"]'),
+        url: link ? link.href : null,
+      };
+    }));
+
+    const lines = raw.map((line) => ({
+      ...line,
+      unitPrice: line.unitPrice ? parseMoney(line.unitPrice).amount : null,
+      quantity: Number(line.quantity) || 0,
+      lineTotal: line.lineTotal ? parseMoney(line.lineTotal).amount : null,
+    }));
+    console.log(`[CartPage] ${lines.length} line item(s)`);
+    return lines;
+  }
+
+  /**
+   * Resolve a line by index or by (case-insensitive) part of its title.
+   * @param {number|string} target
+   * @returns {Promise<number>}
+   */
+  async lineIndex(target) {
+    if (typeof target === 'number') return target;
+    const lines = await this.getLineItems();
+    const index = lines.findIndex((line) => line.title.toLowerCase().includes(target.toLowerCase()));
+    if (index === -1) throw new Error(`No cart line matching "${target}" — cart has: ${lines.map((l) => l.title).join(', ')}`);
+    return index;
+  }
+
+  /**
+   * Change the quantity of one line and wait for the cart to recalculate.
+   * @param {number|string} target - Line index or part of its title
+   * @param {number} quantity
+   * @returns {Promise<CartLine>} The updated line
+   */
+  async setQuantity(target, quantity) {
+    const index = await this.lineIndex(target);
+    console.log(`[CartPage] Setting line ${index} quantity to ${quantity}`);
+    const input = this.lineItems.nth(index).locator('.next-number-picker-input, input[type="number"], input').first();
+    await input.fill(String(quantity));
+    await input.press('Tab');
+
+    await expect.poll(async () => (await this.getLineItems())[index]?.quantity, {
+      message: `Cart line ${index} quantity did not update to ${quantity}`,
+      timeout: 15_000,
+    }).toBe(quantity);
+    const line = (await this.getLineItems())[index];
+    console.log(`[CartPage] ✔ ${line.title}: ${line.quantity} × ${line.unitPrice} = ${line.lineTotal}`);
+    return line;
+  }
+
+  /**
+   * Remove one line from the cart.
+   * @param {number|string} target - Line index or part of its title
+   * @returns {Promise<CartLine[]>} Lines left in the cart
+   */
+  async removeItem(target) {
+    const index = await this.lineIndex(target);
+    const before = await this.lineItems.count();
+    console.log(`[CartPage] Removing line ${index}`);
+
+    await this.lineItems.nth(index).locator('.cart-item-remove, [aria-label="Delete"], [class*="delete"]').first().click();
+    if (await this.confirmRemoveBtn.isVisible({ timeout: 1_000 }).catch(() => false)) {
+      await this.confirmRemoveBtn.click();
+    }
+
+    await expect.poll(() => this.lineItems.count(), {
+      message: 'Cart line was not removed',
+      timeout: 15_000,
+    }).toBe(before - 1);
+    console.log(`[CartPage] ✔ Line removed (${before - 1} left)`);
+    return this.getLineItems();
+  }
+
+  /**
+   * Whether the cart shows no line items.
+   * @returns {Promise<boolean>}
+   */
+  async isEmpty() {
+    return (await this.lineItems.count()) === 0;
+  }
+
+  // ── Summary ───────────────────────────────────────────────────────────────
+
+  /**
+   * Subtotal from the order summary ("Subtotal (3 items)  Rs 97,797").
+   * @returns {Promise<number|null>}
+   */
+  async getSubtotal() {
+    // Read the value cell only — the label's "(3 items)" holds a number too
+    const value = this.subtotalRow.locator('.checkout-summary-value, [class*="value"]').first();
+    const text = await value.textContent({ timeout: 8_000 }).catch(() => null);
+    return text ? parseMoney(text).amount : null;
+  }
+
+  // ── Assertions ────────────────────────────────────────────────────────────
+
+  /**
+   * Assert each line total equals unit price × quantity and the subtotal
+   * equals the sum of the line totals. Lists every mismatch on failure; a
+   * line whose unit price can't be read is reported as such, not checked.
+   * @param {{ tolerance?: number }} [options] - Allowed rounding difference (PKR)
+   */
+  async assertSubtotalMatchesLineItems({ tolerance = 1 } = {}) {
+    const lines = await this.getLineItems();
+    expect(lines.length, 'Cart is empty').toBeGreaterThan(0);
+
+    const problems = [];
+    let sum = 0;
+    let sumKnown = true;
+    for (const line of lines) {
+      if (line.unitPrice === null) {
+        problems.push(`"${line.title}": unit price could not be read`);
+        if (line.lineTotal === null) sumKnown = false;
+        else sum += line.lineTotal;
+        continue;
+      }
+      const expected = line.unitPrice * line.quantity;
+      const total = line.lineTotal ?? expected;
+      if (Math.abs(total - expected) > tolerance) {
+        problems.push(`"${line.title}": ${line.quantity} × ${line.unitPrice} = ${expected}, shown ${total}`);
+      }
+      sum += total;
+    }
+
+    const subtotal = await this.getSubtotal();
+    if (subtotal === null || (sumKnown && Math.abs(subtotal - sum) > tolerance)) {
+      problems.push(`subtotal ${subtotal} ≠ sum of line totals ${sum}`);
+    }
+
+    expect(problems, `Cart totals are inconsistent:\n  ${problems.join('\n  ')}`).toEqual([]);
+    console.log(`[CartPage] ✔ Subtotal ${subtotal} = sum of ${lines.length} line total(s)`);
+  }
+}
+
+module.exports = CartPage;
@@ -1,12 +1,22 @@
 // pages/HomePage.js
 // ─────────────────────────────────────────────────────────────────────────────
 // Page Object for Daraz.pk Home Page
-// Responsibilities: navigate to homepage, accept cookies, perform search
+// Responsibilities: navigate to homepage, accept cookies, perform search,
+//                   read and pick search autocomplete suggestions,
+//                   browse the category mega-menu
 // ─────────────────────────────────────────────────────────────────────────────
 
 const { expect } = require('@playwright/test');
-const { dismissPopups } = require('../utils/helpers');
+const { dismissPopups, escapeRegExp } = require('../utils/helpers');
 const { BASE_URL } = require('../config/constants');
+const SearchResultsPage = require('./SearchResultsPage');
+
+// Mega-menu item selectors, one per depth: top-level category → sub-category → leaf
+const MENU_LEVELS = [
+  '.lzd-site-menu-root-item, [id^="Level_1_Category"]',
+  '.lzd-site-menu-sub-item, [class*="menu-sub-item"]',
+  '.lzd-site-menu-grand-item, [class*="menu-grand-item"]',
+];
 
 class HomePage {
   /**
@@ -19,6 +29,13 @@ class HomePage {
     this.searchInput   = page.locator('#q, input[type="search"], .search-box input').first();
     this.searchButton  = page.locator('button[type="submit"], .search-btn, [data-spm="search"]').first();
     this.logo          = page.locator('.logo, #logo, a[aria-label="Daraz"]').first();
+
+    // ── Autocomplete dropdown under the search box ───────────────────────────
+    this.suggestionBox   = page.locator('.search-suggestions, [class*="suggest-list"], [role="listbox"]').first();
+    this.suggestionItems = this.suggestionBox.locator('.suggest-item, [class*="suggest-item"], [role="option"]');
+
+    // ── Category mega-menu ───────────────────────────────────────────────────
+    this.categoryMenu    = page.locator('.lzd-site-menu-root, [data-spm="cate_1"]').first();
   }
 
   // ── Actions ───────────────────────────────────────────────────────────────
@@ -48,6 +65,7 @@ class HomePage {
 
     // Wait for search box to be interactive
     await this.searchInput.waitFor({ state: 'visible', timeout: 15_000 });
+    const startUrl = this.page.url();
     await this.searchInput.fill(term);
 
     // Try clicking the search button; fall back to pressing Enter
@@ -57,9 +75,169 @@ class HomePage {
       await this.searchInput.press('Enter');
     }
 
-    // Wait for navigation to the search results page
-    await this.page.waitForURL(/\/catalog\/\?q=|search/, { timeout: 30_000 });
-    console.log('[HomePage] Search submitted — on results page');
+    // Wait for navigation away from the home page. Usually that is the search
+    // results page, but some keywords redirect straight to a category listing
+    // (see SearchResultsPage.getSearchOutcome()).
+    await this.page.waitForURL((url) => url.toString() !== startUrl, { timeout: 30_000 });
+    await this.page.waitForLoadState('domcontentloaded');
+    if (/\/catalog\/\?q=|search/.test(this.page.url())) {
+      console.log('[HomePage] Search submitted — on results page');
+    } else {
+      console.log(`[HomePage] Search submitted — redirected to ${this.page.url()}`);
+    }
+  }
+
+  // ── Autocomplete ──────────────────────────────────────────────────────────
+
+  /**
+   * Type `prefix` key by key (so the typeahead fires as it would for a user)
+   * and return the suggestion dropdown entries.
+   *
+   * @param {string} prefix
+   * @param {{ delay?: number }} [options] - Delay between keystrokes (ms)
+   * @returns {Promise<{ index: number, text: string, type: 'keyword'|'category'|'shop', href: string|null }[]>}
+   */
+  async getSuggestions(prefix, { delay = 120 } = {}) {
+    console.log(`[HomePage] Typing "${prefix}" for suggestions`);
+    await this.searchInput.waitFor({ state: 'visible', timeout: 15_000 });
+    await this.searchInput.fill('');
+    await this.searchInput.pressSequentially(prefix, { delay });
+
+    try {
+      await this.suggestionItems.first().waitFor({ state: 'visible', timeout: 8_000 });
+    } catch {
+      console.log('[HomePage] No suggestion dropdown appeared');
+      return [];
+    }
+
+    const suggestions = await this.suggestionItems.evaluateAll((items) => items.map((item, index) => {
+      const hint = `${item.dataset.type || ''} ${item.className}`.toLowerCase();
+      let type = 'keyword';
+      if (/shop|store/.test(hint)) type = 'shop';
+      else if (/categor/.test(hint)) type = 'category';
+      return {
+        index,
+        text: item.textContent.replace(/\s+/g, ' ').trim(),
+        type,
+        href: item.getAttribute('href'),
+      };
+    }));
+
+    console.log(`[HomePage] ${suggestions.length} suggestions: ${suggestions.map((s) => `${s.text} [${s.type}]`).join(', ')}`);
+    return suggestions;
+  }
+
+  /**
+   * Open one entry of the (already visible) suggestion dropdown.
+   *
+   * @param {string|number} textOrIndex - Entry text (case-insensitive) or 0-based index
+   * @param {{ via?: 'click'|'keyboard' }} [options] - Click it, or ArrowDown to it and press Enter
+   * @returns {Promise<string>} URL landed on
+   */
+  async selectSuggestion(textOrIndex, { via = 'click' } = {}) {
+    const items = this.suggestionItems;
+    let index = textOrIndex;
+
+    if (typeof textOrIndex === 'string') {
+      const texts = await items.allTextContents();
+      index = texts.findIndex((t) => new RegExp(`^\\s*${escapeRegExp(textOrIndex)}\\s*$`, 'i').test(t));
+      if (index === -1) throw new Error(`No suggestion "${textOrIndex}" among: ${texts.map((t) => t.trim()).join(', ')}`);
+    }
+
+    const startUrl = this.page.url();
+    console.log(`[HomePage] Selecting suggestion #${index} via ${via}`);
+
+    if (via === 'keyboard') {
+      await this.moveSuggestionHighlight(index + 1);
+      await this.searchInput.press('Enter');
+    } else {
+      await items.nth(index).click();
+    }
+
+    await this.page.waitForURL((url) => url.toString() !== startUrl, { timeout: 30_000 });
+    await this.page.waitForLoadState('domcontentloaded');
+    console.log(`[HomePage] ✔ Suggestion opened: ${this.page.url()}`);
+    return this.page.url();
+  }
+
+  /**
+   * Move the dropdown highlight with the arrow keys.
+   * @param {number} steps - Positive → ArrowDown, negative → ArrowUp
+   * @returns {Promise<string|null>} Text of the highlighted entry
+   */
+  async moveSuggestionHighlight(steps) {
+    const key = steps >= 0 ? 'ArrowDown' : 'ArrowUp';
+    for (let i = 0; i < Math.abs(steps); i++) {
+      await this.searchInput.press(key);
+    }
+    return this.getHighlightedSuggestion();
+  }
+
+  /**
+   * Text of the currently highlighted dropdown entry, if any.
+   * @returns {Promise<string|null>}
+   */
+  async getHighlightedSuggestion() {
+    const highlighted = this.suggestionItems.and(
+      this.page.locator('.active, [aria-selected="true"]')
+    ).first();
+    if (await highlighted.count() === 0) return null;
+    return (await highlighted.textContent()).trim();
+  }
+
+  /**
+   * Close the dropdown with Escape.
+   * @returns {Promise<boolean>} true when the dropdown is hidden afterwards
+   */
+  async dismissSuggestions() {
+    await this.searchInput.press('Escape');
+    const closed = await this.suggestionBox.waitFor({ state: 'hidden', timeout: 3_000 })
+      .then(() => true)
+      .catch(() => false);
+    console.log(`[HomePage] Suggestions ${closed ? 'closed' : 'still open'} after Escape`);
+    return closed;
+  }
+
+  // ── Category Menu ─────────────────────────────────────────────────────────
+
+  /**
+   * Hover down the category mega-menu and click the last entry of `path`,
+   * e.g. `['Electronic Devices', 'Smartphones']`. Asserts the listing's
+   * breadcrumb matches the path taken.
+   *
+   * @param {string[]} path - Menu labels from top level to the category to open
+   * @returns {Promise<SearchResultsPage>} The category listing, ready for filtering
+   */
+  async openCategory(path) {
+    if (path.length === 0 || path.length > MENU_LEVELS.length) {
+      throw new Error(`Category path must have 1–${MENU_LEVELS.length} levels, got ${path.length}`);
+    }
+    console.log(`[HomePage] Opening category: ${path.join(' > ')}`);
+    await this.categoryMenu.waitFor({ state: 'visible', timeout: 15_000 });
+
+    let scope = this.categoryMenu;
+    let item;
+    for (const [depth, name] of path.entries()) {
+      item = scope.locator(MENU_LEVELS[depth])
+        .filter({ has: this.page.getByText(name, { exact: true }) })
+        .first();
+      await item.waitFor({ state: 'visible', timeout: 10_000 }).catch(() => {
+        throw new Error(`Category "${name}" not found in the menu under "${path.slice(0, depth).join(' > ') || 'top level'}"`);
+      });
+      if (depth < path.length - 1) await item.hover();
+      scope = item;
+    }
+
+    const startUrl = this.page.url();
+    await item.locator('a').first().click();
+    await this.page.waitForURL((url) => url.toString() !== startUrl, { timeout: 30_000 });
+    await this.page.waitForLoadState('domcontentloaded');
+    await dismissPopups(this.page);
+    console.log(`[HomePage] ✔ Category listing: ${this.page.url()}`);
+
+    const resultsPage = new SearchResultsPage(this.page);
+    await resultsPage.assertBreadcrumb(path);
+    return resultsPage;
   }
 
   // ── Assertions ────────────────────────────────────────────────────────────
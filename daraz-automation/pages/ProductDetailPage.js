@@ -3,24 +3,400 @@
 // Page Object for Daraz.pk Product Detail Page
 // Responsibilities:
 //   - Verify product details are present
-//   - Check for free shipping badge
+//   - Read and select SKU variants (color / storage / size)
+//   - Set the quantity and add the product to the cart
+//   - Tell in-stock, low-stock, sold-out, pre-order and delisted products apart
+//   - Read delivery options (type, fee, ETA, COD) and check free shipping
+//   - Change the delivery location and re-read shipping for it
+//   - Read the rating summary and page / sort / filter the reviews
+//   - Read the seller's scores and open their store
+//   - Click through the image gallery and check every image loads
+//   - Read the embedded product data (JSON-LD, page data) and cross-check it
+//   - Read promotions (discount, store vouchers, flash sale, installments)
+//     and check the discount % against the prices
+//   - Check the page matches the search card it was opened from
 //   - Assert product name / price
 // ─────────────────────────────────────────────────────────────────────────────
 
 const { expect } = require('@playwright/test');
-const { sleep, dismissPopups, parsePrice } = require('../utils/helpers');
+const { sleep, dismissPopups, parseMoney, escapeRegExp } = require('../utils/helpers');
 const { FREE_SHIPPING_KEYWORDS } = require('../config/constants');
+const StorePage = require('./StorePage');
+
+// Option-group kinds, recognised from the group title ("Color Family", "Storage Capacity", "Size")
+const VARIANT_KINDS = [
+  ['color',   /colou?r/i],
+  ['storage', /storage|rom|capacity|memory/i],
+  ['size',    /size/i],
+];
+
+// Delivery option kinds, recognised from the option title. A delivery row that
+// matches none of them ("Delivery unavailable") is typed 'unknown'.
+const DELIVERY_TYPES = [
+  ['express', /express|same[- ]day|next[- ]day/i],
+  ['pickup',  /pick[- ]?up|collection point/i],
+  ['standard', /standard|home delivery|regular/i],
+];
+
+// Rows in the delivery block that are not delivery options at all (returns, warranty)
+const DELIVERY_ROW = /deliver|shipping|pick[- ]?up|collection point/i;
+
+const MONTHS = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+
+/**
+ * parseMoney() for a slice of widget text: null when it names no amount or
+ * one parseMoney() refuses to guess at, so one odd row can't fail the page.
+ * @param {string|null} text
+ * @returns {import('../utils/helpers').Money|null}
+ */
+function moneyOrNull(text) {
+  if (!text) return null;
+  try {
+    return parseMoney(text);
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Shipping fee text → amount and currency. "Free" is 0. Fee text without an
+ * amount ("Calculated at checkout") leaves both null.
+ * @param {string|null} text - e.g. "Rs 149", "Rs. 1,299", "Free"
+ * @returns {{ fee: number|null, currency: string|null }}
+ */
+function parseFee(text) {
+  const money = moneyOrNull(text);
+  if (!money) return { fee: null, currency: null };
+  return { fee: money.amount, currency: money.currency || 'PKR' };
+}
+
+/**
+ * Delivery time text → range in days from today. Understands "3 - 5 day(s)",
+ * "2 days", "tomorrow" and dated ranges like "Guaranteed by 22 Oct - 25 Oct".
+ * @param {string|null} text
+ * @param {Date} [today]
+ * @returns {{ etaFrom: number|null, etaTo: number|null }}
+ */
+function parseEta(text, today = new Date()) {
+  if (!text) return { etaFrom: null, etaTo: null };
+  let match = text.match(/(\d+)\s*(?:-|–|to)\s*(\d+)\s*(?:business\s*)?day/i);
+  if (match) return { etaFrom: Number(match[1]), etaTo: Number(match[2]) };
+  if ((match = text.match(/(\d+)\s*(?:business\s*)?day/i))) return { etaFrom: Number(match[1]), etaTo: Number(match[1]) };
+  if (/tomorrow/i.test(text)) return { etaFrom: 1, etaTo: 1 };
+  if (/today/i.test(text)) return { etaFrom: 0, etaTo: 0 };
+
+  const start = new Date(today.getFullYear(), today.getMonth(), today.getDate());
+  const days = [...text.matchAll(/(\d{1,2})\s+([a-z]{3})/gi)].map(([, day, mon]) => {
+    const month = MONTHS.indexOf(mon.toLowerCase());
+    if (month === -1) return null;
+    const date = new Date(start.getFullYear(), month, Number(day));
+    if (date < start) date.setFullYear(date.getFullYear() + 1);  // "5 Jan" seen in December
+    return Math.round((date - start) / 86_400_000);
+  }).filter((d) => d !== null);
+  if (days.length) return { etaFrom: days[0], etaTo: days[days.length - 1] };
+  return { etaFrom: null, etaTo: null };
+}
+
+// Review sort orders → option value and label in the "Sort" dropdown
+const REVIEW_SORTS = {
+  'relevance':   { value: 'relevance',   label: 'Relevance' },
+  'recent':      { value: 'recent',      label: 'Recent' },
+  'rating-desc': { value: 'rating-desc', label: 'Rating: High to Low' },
+  'rating-asc':  { value: 'rating-asc',  label: 'Rating: Low to High' },
+};
+
+/**
+ * Review date text → ISO date. Understands "13 Aug 2026", "13 Sept 2026"
+ * and relative dates like "3 weeks ago".
+ * @param {string|null} text
+ * @param {Date} [today]
+ * @returns {string|null} "YYYY-MM-DD"
+ */
+function parseReviewDate(text, today = new Date()) {
+  if (!text) return null;
+  let match = text.match(/(\d{1,2})\s+([a-z]{3})[a-z]*\.?\s+(\d{4})/i);
+  if (match) {
+    const month = MONTHS.indexOf(match[2].toLowerCase());
+    if (month === -1) return null;
+    return new Date(Date.UTC(Number(match[3]), month, Number(match[1]))).toISOString().slice(0, 10);
+  }
+  if ((match = text.match(/(\d+)\s*(day|week|month|year)s?\s*ago/i))) {
+    const date = new Date(Date.UTC(today.getFullYear(), today.getMonth(), today.getDate()));
+    const n = Number(match[1]);
+    const unit = match[2].toLowerCase();
+    if (unit === 'day') date.setUTCDate(date.getUTCDate() - n);
+    if (unit === 'week') date.setUTCDate(date.getUTCDate() - 7 * n);
+    if (unit === 'month') date.setUTCMonth(date.getUTCMonth() - n);
+    if (unit === 'year') date.setUTCFullYear(date.getUTCFullYear() - n);
+    return date.toISOString().slice(0, 10);
+  }
+  return null;
+}
+
+/**
+ * @typedef {object} RatingSummary
+ * @property {number|null} average    - Stars, 0–5, as displayed
+ * @property {number|null} total      - Number of ratings
+ * @property {Record<1|2|3|4|5, number>} histogram - Ratings per star count
+ */
+
+/**
+ * @typedef {object} Review
+ * @property {number|null} stars
+ * @property {string}      text
+ * @property {string|null} author
+ * @property {string|null} date       - "YYYY-MM-DD"
+ * @property {string|null} variant    - SKU the reviewer bought, e.g. "Color Family:Black"
+ * @property {boolean}     hasPhotos
+ */
+
+/**
+ * Image URL without the size / format suffix Daraz's CDN appends, so a
+ * thumbnail ("…/abc.jpg_80x80q80.jpg_.webp") and the main image
+ * ("…/abc.jpg_720x720q80.jpg_.webp") compare equal.
+ * @param {string|null} src
+ * @returns {string}
+ */
+function imageKey(src) {
+  return (src || '').split('?')[0].replace(/(\.(?:jpe?g|png|webp|svg))_.*$/i, '$1');
+}
+
+/**
+ * @typedef {object} GalleryImage
+ * @property {number}      index          - Thumbnail position, 0-based
+ * @property {string|null} thumbnail      - Thumbnail URL (null without a thumbnail strip)
+ * @property {boolean}     thumbnailLoaded
+ * @property {string|null} src            - Main image URL after selecting the thumbnail
+ * @property {number|null} status         - HTTP status of `src`
+ * @property {number}      naturalWidth   - 0 when the image failed to decode
+ * @property {number}      naturalHeight
+ * @property {boolean}     shown          - Main image switched to this thumbnail
+ */
+
+/**
+ * schema.org Product node from the page's JSON-LD blocks, which may hold a
+ * single node, an array or an `@graph`.
+ * @param {string[]} blocks - Text of each `application/ld+json` script
+ * @returns {object|null}
+ */
+function findJsonLdProduct(blocks) {
+  for (const text of blocks) {
+    let data;
+    try {
+      data = JSON.parse(text);
+    } catch {
+      continue;  // one malformed block should not hide the others
+    }
+    const nodes = [data].flat().flatMap((node) => (node && node['@graph']) || [node]);
+    const product = nodes.find((node) => node && [node['@type']].flat().includes('Product'));
+    if (product) return product;
+  }
+  return null;
+}
+
+/**
+ * `fields` of the inline page-data script the PDP modules render from —
+ * `var __moduleData__ = {…};` or, on older pages, `app.run({…});`.
+ * @param {string[]} scripts
+ * @returns {object|null}
+ */
+function parsePageData(scripts) {
+  for (const text of scripts) {
+    const match = text.match(/__moduleData__\s*=\s*(\{[\s\S]*\})\s*;?\s*$/) || text.match(/app\.run\((\{[\s\S]*\})\)\s*;?\s*$/);
+    if (!match) continue;
+    try {
+      const fields = JSON.parse(match[1])?.data?.root?.fields;
+      if (fields) return fields;
+    } catch {
+      // not JSON after all — keep looking
+    }
+  }
+  return null;
+}
+
+/**
+ * @typedef {object} StructuredProduct
+ * @property {string|null} itemId
+ * @property {string|null} sku        - Selected SKU
+ * @property {string|null} title
+ * @property {string|null} brand
+ * @property {number|null} price
+ * @property {string|null} currency
+ * @property {{ inStock: boolean|null, quantity: number|null }} stock
+ * @property {{ average: number|null, count: number|null }} rating
+ * @property {string[]}    sources    - Payloads found: "json-ld", "page-data"
+ */
+
+/**
+ * @typedef {object} Voucher
+ * @property {number|null} amount    - PKR off
+ * @property {number|null} percent   - % off, for percentage vouchers
+ * @property {number|null} minSpend  - Order total the voucher needs (PKR)
+ * @property {string}      text
+ */
+
+/**
+ * Store voucher text → amount off and minimum spend. Understands
+ * "Rs 150 OFF Min. spend Rs 3,000", "Rs.200 off on orders above Rs.2,000"
+ * and percentage vouchers like "5% off". Amounts are read by parseMoney().
+ * @param {string} text
+ * @returns {Voucher}
+ */
+function parseVoucher(text) {
+  const percent = text.match(/(\d+(?:\.\d+)?)\s*%\s*off/i);
+  // The amount off comes before "off", the minimum spend after its keyword
+  const [offPart, rest = ''] = text.split(/\boff\b/i);
+  const spendPart = rest.match(/(?:spend|above|over|orders? of)(.*)$/i);
+  const amount = percent ? null : moneyOrNull(offPart);
+  const minSpend = spendPart ? moneyOrNull(spendPart[1]) : null;
+  return {
+    amount: amount ? amount.amount : null,
+    percent: percent ? Number(percent[1]) : null,
+    minSpend: minSpend ? minSpend.amount : null,
+    text,
+  };
+}
+
+/**
+ * Flash sale countdown text → seconds left. Understands "Ends in 05:12:33",
+ * "05 : 12 : 33" (one span per unit) and a leading day count ("1d 05:12:33").
+ * @param {string|null} text
+ * @returns {number|null}
+ */
+function parseCountdown(text) {
+  const match = text && text.match(/(?:(\d+)\s*d(?:ays?)?\s*)?(\d{1,2})\s*:\s*(\d{2})\s*:\s*(\d{2})/i);
+  if (!match) return null;
+  const [, days = 0, hours, minutes, seconds] = match;
+  return ((Number(days) * 24 + Number(hours)) * 60 + Number(minutes)) * 60 + Number(seconds);
+}
+
+/**
+ * @typedef {object} Installment
+ * @property {number|null} months
+ * @property {number|null} monthly   - PKR per month
+ * @property {string}      text
+ */
+
+/**
+ * Installment plan text → term and monthly amount, e.g.
+ * "Rs 3,834/month for 12 months". A bare "from Rs. 3,834/month" has no term.
+ * The amount is read by parseMoney().
+ * @param {string} text
+ * @returns {Installment}
+ */
+function parseInstallment(text) {
+  const months = text.match(/(\d+)\s*(?:months?|mos?)\b/i);
+  // The monthly amount comes before "/month" (or is the whole text), less the term
+  const perMonth = text.match(/^(.*?)(?:\/\s*mo(?:nth)?\b|\bper month\b|\ba month\b)/i);
+  const amountText = perMonth ? perMonth[1] : text;
+  const monthly = moneyOrNull(months ? amountText.replace(months[0], ' ') : amountText);
+  return {
+    months: months ? Number(months[1]) : null,
+    monthly: monthly ? monthly.amount : null,
+    text,
+  };
+}
+
+/**
+ * @typedef {object} Promotions
+ * @property {number|null}   price          - Selling price (PKR)
+ * @property {number|null}   originalPrice  - Strike-through price, null when not discounted
+ * @property {number|null}   discount       - Discount % as displayed
+ * @property {Voucher[]}     vouchers       - Store vouchers
+ * @property {{ endsIn: number, text: string }|null} flashSale - Seconds left on the countdown
+ * @property {Installment[]} installments
+ */
+
+// Availability states a shopper cannot buy from today
+const UNAVAILABLE_STATUSES = ['out_of_stock', 'delisted'];
+
+/**
+ * @typedef {object} Availability
+ * @property {'in_stock'|'low_stock'|'out_of_stock'|'pre_order'|'delisted'} status
+ * @property {boolean}     available  - false for out_of_stock and delisted
+ * @property {number|null} quantity   - Units left when the page says so
+ * @property {string}      text       - Text the status was read from
+ */
+
+/**
+ * @typedef {object} SellerInfo
+ * @property {string|null} name
+ * @property {number|null} positiveRating  - % of positive seller ratings
+ * @property {number|null} shipOnTime      - % of orders shipped on time
+ * @property {number|null} chatResponse    - % of chats answered
+ * @property {boolean}     official        - Brand's official store
+ * @property {boolean}     lazMall
+ * @property {string|null} storeUrl
+ */
+
+/**
+ * @typedef {object} DeliveryOption
+ * @property {'standard'|'express'|'pickup'|'unknown'} type
+ * @property {number|null}  fee       - PKR; 0 when free
+ * @property {string|null}  currency
+ * @property {number|null}  etaFrom   - Days from today
+ * @property {number|null}  etaTo
+ * @property {boolean}      isFree
+ * @property {boolean}      codAvailable
+ * @property {{ title: string, fee: string|null, eta: string|null, cod: string|null }} evidence
+ *           Raw text each value was read from
+ */
+
+/**
+ * @typedef {object} VariantGroup
+ * @property {string} name   - Group title as shown, e.g. "Color Family"
+ * @property {'color'|'storage'|'size'|'other'} kind
+ * @property {{ value: string, selected: boolean, available: boolean }[]} values
+ */
+
+/**
+ * Index of the group `key` refers to: exact title first, then kind or partial title.
+ * @param {VariantGroup[]} groups
+ * @param {string} key - e.g. "Color", "storage", "Color Family"
+ * @returns {number} -1 when none matches
+ */
+function findVariantGroup(groups, key) {
+  const wanted = key.toLowerCase();
+  const exact = groups.findIndex((g) => g.name.toLowerCase() === wanted);
+  if (exact !== -1) return exact;
+  return groups.findIndex((g) => g.kind === wanted || g.name.toLowerCase().includes(wanted));
+}
+
+// Search card each page was last opened from, recorded by SearchResultsPage
+const listings = new WeakMap();
+
+/**
+ * Title for comparison: lower case, single spaces, no truncation ellipsis.
+ * @param {string|null} title
+ * @returns {string}
+ */
+function normalizeTitle(title) {
+  return (title || '').replace(/(?:…|\.\.\.)\s*$/, '').replace(/\s+/g, ' ').trim().toLowerCase();
+}
 
 class ProductDetailPage {
   /**
    * @param {import('@playwright/test').Page} page
+   * @param {object} [options]
+   * @param {import('./SearchResultsPage').ProductCard|null} [options.listing]
+   *        Search card the product was opened from; defaults to the one
+   *        SearchResultsPage.openProduct() recorded for `page`
    */
-  constructor(page) {
+  constructor(page, { listing } = {}) {
     this.page = page;
+    this.listing = listing !== undefined ? listing : listings.get(page) || null;
 
     // ── Product information ───────────────────────────────────────────────
     this.productTitle     = page.locator('.pdp-product-title, h1.title, [class*="pdp-mod-product-badge-title"]').first();
     this.productPrice     = page.locator('.pdp-price, .product-price, [class*="pdp-mod-price"]').first();
+    this.productBrand     = page.locator('.pdp-product-brand__brand-link, .pdp-product-brand a, [class*="brand-link"]').first();
+
+    // ── Promotions ────────────────────────────────────────────────────────
+    this.originalPrice    = page.locator('.pdp-price_type_deleted, .pdp-price-origin del, [class*="price_type_deleted"]').first();
+    this.discountBadge    = page.locator('.pdp-product-price__discount, [class*="price__discount"]').first();
+    this.voucherItems     = page.locator('.voucher-item, [class*="voucher-item"], [class*="promotion-voucher"]');
+    this.flashSaleCountdown = page.locator('.flash-sale-countdown, [class*="flash-sale"] [class*="countdown"], [class*="flashsale"] [class*="countdown"]').first();
+    this.installmentPlans = page.locator('.installment-plan, [class*="installment-plan"], [class*="installment"] li');
 
     // ── Shipping information ───────────────────────────────────────────────
     // Daraz shows "Free Shipping" / "Free Delivery" in several locations
@@ -30,17 +406,75 @@ class ProductDetailPage {
       '.pdp-delivery-item, [data-qa-locator*="delivery"]'
     );
 
-    // Generic text scan for free-shipping keywords (most reliable cross-layout)
-    this.pageBody         = page.locator('body');
+    // One row per delivery option (Standard / Express / Pick-up) plus the COD row
+    this.deliveryRows     = page.locator('.delivery-option-item, .pdp-delivery-item, [data-qa-locator="delivery-option"]');
+
+    // Delivery address and the province → city → area picker behind "CHANGE"
+    this.deliveryAddress  = page.locator('.location__address, [class*="location__address"], .delivery-location').first();
+    this.changeLocationBtn = page.locator('.location-link, .location__link-change, button:has-text("CHANGE")').first();
+    this.locationPicker   = page.locator('.location-picker, [class*="location-picker"], [class*="address-popup"]').first();
+    this.locationOptions  = this.locationPicker.locator('.location-list__item, [role="option"], li');
 
     // ── Seller / store info ───────────────────────────────────────────────
-    this.sellerName       = page.locator('.seller-name, .pdp-product-seller, [class*="seller"]').first();
+    this.sellerBlock      = page.locator('.seller-container, [data-qa-locator="seller"], [class*="seller-container"]').first();
+    this.sellerName       = page.locator('.seller-name__detail-name, .seller-name, .pdp-product-seller').first();
+    this.sellerScores     = this.sellerBlock.locator('.info-content, [class*="info-content"]');
+    this.visitStoreLink   = page.locator('.seller-link, a:has-text("Visit Store"), a:has-text("Go to Store")').first();
+
+    // ── Ratings & reviews ─────────────────────────────────────────────────
+    this.reviewSection    = page.locator('.pdp-mod-review, #module_product_review').first();
+    this.ratingAverage    = this.reviewSection.locator('.score-average, [class*="score-average"]').first();
+    this.ratingCount      = this.reviewSection.locator('.summary .count, [class*="rating-count"]').first();
+    this.ratingBars       = this.reviewSection.locator('.mod-rating .detail li, [class*="rating-detail"] li');
+    this.reviewItems      = this.reviewSection.locator('.mod-reviews .item, [data-qa-locator="review-item"]');
+    this.reviewSortControl   = this.reviewSection.locator('.review-sort, [class*="review-sort"], .oper:has-text("Sort")').first();
+    this.reviewFilterControl = this.reviewSection.locator('.review-filter, [class*="review-filter"], .oper:has-text("Filter")').first();
+    this.reviewNextBtn    = this.reviewSection.locator('.review-pagination .next, .next-pagination-item.next').first();
+
+    // ── SKU variants ──────────────────────────────────────────────────────
+    this.variantGroups    = page.locator('.sku-prop, [data-qa-locator="sku-prop"]');
+    this.variantItemSel   = '.sku-variable-name, .sku-variable-img-wrap, .sku-variable-size, [data-qa-locator="sku-item"]';
+    this.stockInfo        = page.locator('.quantity-content, .quantity-content-warning, [class*="quantity-content"]').first();
 
     // ── Add to cart ───────────────────────────────────────────────────────
     this.addToCartBtn     = page.locator('button[data-spm="add-to-cart"], .add-to-cart, [class*="btn-add-to-cart"]').first();
+    this.buyButtons       = page.locator(
+      'button[data-spm="add-to-cart"], button[data-spm="buy-now"], .add-to-cart, .buy-now, ' +
+      '[class*="btn-add-to-cart"], [class*="btn-buy-now"]'
+    );
+    this.quantityInput    = page.locator('.next-number-picker-input, .quantity input, [class*="quantity"] input').first();
+    this.quantityUpBtn    = page.locator('.next-number-picker-handler-up, [class*="quantity"] [aria-label="Increase"]').first();
+    this.cartConfirmation = page.locator('.cart-popup, [class*="added-to-cart"], [class*="add-to-cart-success"]')
+      .or(page.getByText(/added to cart successfully/i)).first();
+    // Guests on daraz.pk get a login prompt instead of a cart update
+    this.loginPrompt      = page.locator('[class*="login-popup"], .mod-login, iframe[src*="login"]').first();
+
+    // ── Availability ──────────────────────────────────────────────────────
+    this.preOrderNotice   = page.locator('.pdp-pre-order, [class*="pre-order"], [class*="preorder"]').first();
+    // Delisted items and dead links land on a "no longer available" / 404 screen. The
+    // text match stays inside the product info column, so reviews, Q&A and
+    // recommendations that mention it don't count; hidden templates are skipped.
+    this.unavailableNotice = page.locator('.not-found, [class*="page-not-found"], [class*="item-offline"]')
+      .or(page.locator('.pdp-info, .pdp-block__main-information')
+        .getByText(/no longer available|page could not be found|product is unavailable/i))
+      .filter({ visible: true }).first();
 
     // ── Product images ────────────────────────────────────────────────────
-    this.mainImage        = page.locator('.pdp-mod-main-pic img, .product-image img, [class*="gallery"] img').first();
+    this.mainImage        = page.locator('.gallery-preview-panel__image, .pdp-mod-main-pic img, .product-image img').first();
+    this.galleryThumbs    = page.locator('.item-gallery__thumbnail, [class*="item-gallery__thumbnail"], [data-qa-locator="gallery-thumbnail"]');
+    // Click-to-preview dialog, or the hover zoom pane on layouts without one
+    this.imagePreview     = page.locator('.gallery-preview, [class*="lightbox"], [class*="zoom-pane"], [class*="magnifier"]').first();
+    this.imagePreviewClose = this.imagePreview.locator('.gallery-preview__close, [aria-label="Close"], [class*="close"]').first();
+  }
+
+  /**
+   * Record the search card `page` is being opened from.
+   * @param {import('@playwright/test').Page} page
+   * @param {import('./SearchResultsPage').ProductCard|null} listing
+   */
+  static rememberListing(page, listing) {
+    if (listing) listings.set(page, listing);
+    else listings.delete(page);
   }
 
   // ── Wait / Setup ──────────────────────────────────────────────────────────
@@ -66,8 +500,9 @@ class ProductDetailPage {
       await this.productTitle.waitFor({ state: 'visible', timeout: 10_000 });
       return (await this.productTitle.textContent()).trim();
     } catch {
-      // Fallback: read the page <title> tag
-      return this.page.title();
+      // Fallback: the embedded product data, then the page <title> tag
+      const data = await this.getStructuredData().catch(() => null);
+      return data?.title || this.page.title();
     }
   }
 
@@ -76,43 +511,707 @@ class ProductDetailPage {
    * @returns {Promise<number|null>}
    */
   async getProductPrice() {
+    const text = await this.productPrice.textContent({ timeout: 8_000 }).catch(() => null);
+    if (text !== null) return parseMoney(text).amount;
+
+    // Fallback: the embedded product data
+    const data = await this.getStructuredData().catch(() => null);
+    return data?.price ?? null;
+  }
+
+  /**
+   * Return the brand shown under the product title ("Brand: Samsung").
+   * @returns {Promise<string|null>}
+   */
+  async getProductBrand() {
     try {
-      const text = await this.productPrice.textContent({ timeout: 8_000 });
-      return parsePrice(text);
+      const text = await this.productBrand.textContent({ timeout: 8_000 });
+      return text.trim() || null;
     } catch {
       return null;
     }
   }
 
+  /**
+   * Stock hint for the current SKU ("Only 3 items left", "Out of Stock").
+   * Without a hint, a disabled Add to Cart button still means out of stock.
+   * @returns {Promise<{ inStock: boolean, quantity: number|null, text: string }>}
+   */
+  async getStock() {
+    const text = ((await this.stockInfo.textContent({ timeout: 3_000 }).catch(() => '')) || '').trim();
+    if (/out of stock|sold out|unavailable/i.test(text)) return { inStock: false, quantity: 0, text };
+
+    const left = text.match(/(\d+)\s*(?:items?|pieces?|pcs)?\s*left/i);
+    if (left) return { inStock: Number(left[1]) > 0, quantity: Number(left[1]), text };
+
+    const buyable = await this.addToCartBtn.isEnabled({ timeout: 3_000 }).catch(() => true);
+    return { inStock: buyable, quantity: null, text };
+  }
+
+  /**
+   * Whether the product can be bought, from the page state, the buy buttons
+   * and the stock text, in that order:
+   *   delisted     – a "no longer available" / 404 screen, or no product at all
+   *   pre_order    – a pre-order notice or a "Pre-Order" buy button
+   *   out_of_stock – "Out of Stock" text, or no enabled buy button
+   *   low_stock    – "Only N items left" (quantity set)
+   *   in_stock     – anything else
+   * @returns {Promise<Availability>}
+   */
+  async getAvailability() {
+    const result = (status, quantity, text) => {
+      const availability = { status, available: !UNAVAILABLE_STATUSES.includes(status), quantity, text };
+      console.log(`[ProductDetailPage] Availability: ${status}${quantity !== null ? ` (${quantity})` : ''}${text ? ` — "${text}"` : ''}`);
+      return availability;
+    };
+
+    // 1. Page state
+    const notice = await this.unavailableNotice.isVisible().catch(() => false)
+      ? await this.unavailableNotice.textContent({ timeout: 1_000 }).catch(() => null)
+      : null;
+    const hasProduct = await this.productTitle.isVisible().catch(() => false) || (await this.buyButtons.count()) > 0;
+    if (notice || !hasProduct) {
+      return result('delisted', 0, (notice || await this.page.title()).replace(/\s+/g, ' ').trim());
+    }
+
+    // 2. Pre-order
+    const buttonText = (await this.buyButtons.allTextContents()).join(' ').replace(/\s+/g, ' ').trim();
+    if (await this.preOrderNotice.isVisible().catch(() => false) || /pre-?order/i.test(buttonText)) {
+      const text = await this.preOrderNotice.textContent({ timeout: 1_000 }).catch(() => buttonText);
+      return result('pre_order', null, text.replace(/\s+/g, ' ').trim());
+    }
+
+    // 3. Stock text and buy buttons
+    const stock = await this.getStock();
+    const buyable = await this.buyButtons.evaluateAll((buttons) =>
+      buttons.some((b) => !b.disabled && b.getAttribute('aria-disabled') !== 'true'));
+    if (!stock.inStock || !buyable) {
+      return result('out_of_stock', 0, stock.text || (buttonText ? `${buttonText} (disabled)` : 'no buy buttons'));
+    }
+    if (stock.quantity !== null && /left/i.test(stock.text)) return result('low_stock', stock.quantity, stock.text);
+    return result('in_stock', stock.quantity, stock.text);
+  }
+
+  /**
+   * Absolute URL of the main gallery image.
+   * @returns {Promise<string|null>}
+   */
+  async getMainImageSrc() {
+    return this.mainImage.evaluate((img) => img.currentSrc || img.src).catch(() => null);
+  }
+
+  // ── Promotions ────────────────────────────────────────────────────────────
+
+  /**
+   * Price promotions shown near the price: the strike-through original price
+   * and discount %, store vouchers, the flash sale countdown and installment
+   * plans. Anything the page does not show is null / empty.
+   * @returns {Promise<Promotions>}
+   */
+  async getPromotions() {
+    const clean = (text) => (text || '').replace(/\s+/g, ' ').trim();
+    const read = (locator) => locator.textContent({ timeout: 2_000 }).then(clean).catch(() => null);
+
+    const price = await this.getProductPrice();
+    const originalText = await read(this.originalPrice);
+    const discountText = await read(this.discountBadge);
+    const countdownText = await read(this.flashSaleCountdown);
+    const endsIn = parseCountdown(countdownText);
+    const discount = discountText && discountText.match(/(\d+(?:\.\d+)?)\s*%/);
+
+    const promotions = {
+      price,
+      originalPrice: originalText ? parseMoney(originalText).amount : null,
+      discount: discount ? Number(discount[1]) : null,
+      vouchers: (await this.voucherItems.allTextContents()).map(clean).filter(Boolean).map(parseVoucher),
+      flashSale: endsIn !== null ? { endsIn, text: countdownText } : null,
+      installments: (await this.installmentPlans.allTextContents()).map(clean).filter(Boolean).map(parseInstallment),
+    };
+    console.log(`[ProductDetailPage] Promotions: Rs ${price}` +
+      (promotions.originalPrice !== null ? ` (was Rs ${promotions.originalPrice}, -${promotions.discount}%)` : '') +
+      `, ${promotions.vouchers.length} voucher(s), ${promotions.installments.length} installment plan(s)` +
+      (promotions.flashSale ? `, flash sale ${promotions.flashSale.endsIn}s left` : ''));
+    return promotions;
+  }
+
+  // ── Structured Data ───────────────────────────────────────────────────────
+
+  /**
+   * Product data embedded for machines: the JSON-LD Product block and the
+   * inline page-data script. Product-level values (title, brand, rating) come
+   * from JSON-LD first; SKU-level values (price, stock) from the page data
+   * first, as it covers the SKU currently selected. Returns null when the
+   * page carries neither payload.
+   * @returns {Promise<StructuredProduct|null>}
+   */
+  async getStructuredData() {
+    const payloads = await this.page.evaluate(() => ({
+      jsonLd: [...document.querySelectorAll('script[type="application/ld+json"]')].map((s) => s.textContent),
+      pageData: [...document.querySelectorAll('script:not([src])')].map((s) => s.textContent)
+        .filter((text) => /__moduleData__|app\.run\(/.test(text)),
+    }));
+    const ld = findJsonLdProduct(payloads.jsonLd);
+    const fields = parsePageData(payloads.pageData);
+    if (!ld && !fields) {
+      console.warn('[ProductDetailPage] ⚠ No JSON-LD or page-data payload on this page');
+      return null;
+    }
+
+    const num = (value) => (value === null || value === undefined || value === '' || Number.isNaN(Number(value)) ? null : Number(value));
+    const url = this.page.url();
+    const sku = (url.match(/-s(\d+)\.html/) || [])[1] || fields?.primaryKey?.skuId || (ld?.sku ? String(ld.sku) : null);
+    const skuInfo = (sku && fields?.skuInfos?.[sku]) || null;
+    const offer = [ld?.offers].flat()[0] || {};
+    const quantity = num(skuInfo?.stock);
+
+    const data = {
+      itemId: fields?.primaryKey?.itemId || (url.match(/-i(\d+)/) || [])[1] || null,
+      sku,
+      title: ld?.name || fields?.product?.title || null,
+      brand: (typeof ld?.brand === 'string' ? ld.brand : ld?.brand?.name) || fields?.product?.brand?.name || null,
+      price: num(skuInfo?.price?.salePrice?.value) ?? num(offer.price),
+      currency: offer.priceCurrency || (skuInfo ? 'PKR' : null),
+      stock: {
+        inStock: quantity !== null ? quantity > 0
+          : offer.availability ? /InStock|LimitedAvailability|PreOrder/i.test(offer.availability) : null,
+        quantity,
+      },
+      rating: {
+        average: num(ld?.aggregateRating?.ratingValue) ?? num(fields?.review?.ratings?.average),
+        count: num(ld?.aggregateRating?.reviewCount ?? ld?.aggregateRating?.ratingCount) ?? num(fields?.review?.ratings?.rateCount),
+      },
+      sources: [ld && 'json-ld', fields && 'page-data'].filter(Boolean),
+    };
+    console.log(`[ProductDetailPage] Structured data (${data.sources.join(' + ')}): sku ${data.sku}, ` +
+      `${data.brand} · ${data.currency} ${data.price} · in stock ${data.stock.inStock} · ${data.rating.average}★ (${data.rating.count})`);
+    return data;
+  }
+
+  // ── SKU Variants ──────────────────────────────────────────────────────────
+
+  /**
+   * Option groups offered for this product with each value's state. A value
+   * is unavailable when it cannot be bought with the other current selections.
+   * Returns `[]` for single-SKU products.
+   * @returns {Promise<VariantGroup[]>}
+   */
+  async getVariants() {
+    const groups = await this.variantGroups.evaluateAll((nodes, itemSel) => nodes.map((node) => {
+      const title = node.querySelector('.section-title, h6, [class*="title"]');
+      return {
+        name: (node.dataset.group || (title && title.textContent) || '').trim(),
+        values: [...node.querySelectorAll(itemSel)].map((item) => ({
+          value: (item.dataset.value || item.getAttribute('title') || item.textContent).trim(),
+          selected: /selected|active/.test(item.className) || item.getAttribute('aria-checked') === 'true',
+          available: !/disabled|soldout|sold-out/.test(item.className) && item.getAttribute('aria-disabled') !== 'true',
+        })),
+      };
+    }), this.variantItemSel);
+
+    const variants = groups.map((group) => ({
+      ...group,
+      kind: (VARIANT_KINDS.find(([, pattern]) => pattern.test(group.name)) || ['other'])[0],
+    }));
+    console.log(`[ProductDetailPage] Variants: ${variants.map((g) =>
+      `${g.name} [${g.values.map((v) => `${v.value}${v.selected ? '*' : ''}${v.available ? '' : ' ✗'}`).join(', ')}]`
+    ).join('; ') || '(single SKU)'}`);
+    return variants;
+  }
+
+  /**
+   * Select one value per option group, e.g. `{ Color: 'Black', Storage: '128GB' }`.
+   * Keys match group titles or kinds case-insensitively ("Color" → "Color Family"),
+   * then the price, stock and main image are re-read for the resulting SKU.
+   *
+   * @param {Object<string, string>} selection
+   * @returns {Promise<{ selection: Object<string, string>, price: number|null,
+   *                     stock: { inStock: boolean, quantity: number|null, text: string }, image: string|null }>}
+   */
+  async selectVariant(selection) {
+    for (const [key, value] of Object.entries(selection)) {
+      const groups = await this.getVariants();
+      const groupIndex = findVariantGroup(groups, key);
+      if (groupIndex === -1) {
+        throw new Error(`No variant group "${key}" — product offers: ${groups.map((g) => g.name).join(', ') || 'none'}`);
+      }
+
+      const group = groups[groupIndex];
+      const valueIndex = group.values.findIndex((v) => v.value.toLowerCase() === String(value).toLowerCase());
+      if (valueIndex === -1) {
+        throw new Error(`"${value}" is not a ${group.name} option — choose from: ${group.values.map((v) => v.value).join(', ')}`);
+      }
+      if (!group.values[valueIndex].available) {
+        console.warn(`[ProductDetailPage] ⚠ ${group.name} "${value}" is marked unavailable — selecting anyway`);
+      }
+
+      const item = this.variantGroups.nth(groupIndex).locator(this.variantItemSel).nth(valueIndex);
+      await item.click({ timeout: 10_000 });
+      await expect(item).toHaveClass(/selected|active/, { timeout: 5_000 });
+      console.log(`[ProductDetailPage] Selected ${group.name}: ${value}`);
+    }
+
+    // The price / stock / gallery swap is client-side; give it a moment to settle
+    await sleep(500);
+    const current = Object.fromEntries((await this.getVariants()).map((g) => [
+      g.name, (g.values.find((v) => v.selected) || {}).value ?? null,
+    ]));
+    const sku = {
+      selection: current,
+      price: await this.getProductPrice(),
+      stock: await this.getStock(),
+      image: await this.getMainImageSrc(),
+    };
+    console.log(`[ProductDetailPage] ✔ SKU now: price ${sku.price}, stock "${sku.stock.text}", image ${sku.image}`);
+    return sku;
+  }
+
+  // ── Add to Cart ───────────────────────────────────────────────────────────
+
+  /**
+   * Set the quantity picker. Uses the input when it is editable, otherwise
+   * clicks "+"; the site may cap the value (per-order limit or stock).
+   * @param {number} quantity
+   * @returns {Promise<number>} Quantity the picker ended up showing
+   */
+  async setQuantity(quantity) {
+    await this.quantityInput.waitFor({ state: 'visible', timeout: 10_000 });
+    if (await this.quantityInput.isEditable()) {
+      await this.quantityInput.fill(String(quantity));
+      await this.quantityInput.press('Tab');
+    } else {
+      const current = Number(await this.quantityInput.inputValue()) || 1;
+      for (let i = current; i < quantity; i++) await this.quantityUpBtn.click();
+    }
+
+    const shown = Number(await this.quantityInput.inputValue());
+    if (shown !== quantity) console.warn(`[ProductDetailPage] ⚠ Quantity capped at ${shown} (asked for ${quantity})`);
+    return shown;
+  }
+
+  /**
+   * Add the current SKU to the cart and wait for the confirmation.
+   *
+   * @param {{ quantity?: number }} [options]
+   * @returns {Promise<{ added: boolean, loginRequired: boolean, quantity: number }>}
+   *          `loginRequired` is set when the site asked to sign in instead
+   */
+  async addToCart({ quantity = 1 } = {}) {
+    console.log(`[ProductDetailPage] Adding ${quantity} to cart …`);
+    await dismissPopups(this.page, 1000);
+    const shown = quantity === 1 ? 1 : await this.setQuantity(quantity);
+
+    await this.addToCartBtn.waitFor({ state: 'visible', timeout: 10_000 });
+    if (!(await this.addToCartBtn.isEnabled())) {
+      throw new Error('Add to Cart is disabled — the selected SKU is out of stock');
+    }
+    await this.addToCartBtn.click();
+
+    const deadline = Date.now() + 15_000;
+    while (Date.now() < deadline) {
+      if (await this.cartConfirmation.isVisible().catch(() => false)) {
+        console.log(`[ProductDetailPage] ✔ Added ${shown} to cart`);
+        return { added: true, loginRequired: false, quantity: shown };
+      }
+      if (/\/(member\/)?login/i.test(this.page.url()) || await this.loginPrompt.isVisible().catch(() => false)) {
+        console.warn('[ProductDetailPage] ⚠ Add to Cart asked for a login');
+        return { added: false, loginRequired: true, quantity: shown };
+      }
+      await sleep(250);
+    }
+    throw new Error('No add-to-cart confirmation or login prompt appeared within 15s');
+  }
+
+  // ── Delivery Options ──────────────────────────────────────────────────────
+
+  /**
+   * Delivery options from the delivery widget, each with the raw text its
+   * values were parsed from. The COD row applies to every option.
+   * @returns {Promise<DeliveryOption[]>}
+   */
+  async getDeliveryOptions() {
+    await this.deliveryRows.first().waitFor({ state: 'visible', timeout: 10_000 }).catch(() => {});
+    const rows = await this.deliveryRows.evaluateAll((nodes) => nodes.map((node) => {
+      const text = (sel) => {
+        const el = node.querySelector(sel);
+        return el ? el.textContent.replace(/\s+/g, ' ').trim() : null;
+      };
+      return {
+        title: text('[class*="__title"], .delivery-type, [class*="title"]') || node.textContent.replace(/\s+/g, ' ').trim(),
+        fee: text('[class*="shipping-fee"], [class*="__fee"], .delivery-fee, [class*="price"]'),
+        eta: text('[class*="__time"], [class*="time"], [class*="eta"]'),
+      };
+    }));
+
+    const codRow = rows.find((row) => /cash on delivery|\bcod\b/i.test(row.title));
+    const codAvailable = Boolean(codRow) && !/not available|unavailable|no cash/i.test(codRow.title);
+
+    const options = [];
+    for (const row of rows) {
+      if (row === codRow) continue;
+      if (!DELIVERY_ROW.test(row.title)) continue;  // returns / warranty rows
+      const kind = DELIVERY_TYPES.find(([, pattern]) => pattern.test(row.title));
+
+      const { fee, currency } = parseFee(row.fee);
+      options.push({
+        type: kind ? kind[0] : 'unknown',
+        fee,
+        currency,
+        ...parseEta(row.eta),
+        isFree: fee === 0,
+        codAvailable,
+        evidence: { title: row.title, fee: row.fee, eta: row.eta, cod: codRow ? codRow.title : null },
+      });
+    }
+
+    console.log(`[ProductDetailPage] Delivery options: ${options.map((o) =>
+      `${o.type} ${o.isFree ? 'free' : `${o.currency} ${o.fee}`} ${o.etaFrom}–${o.etaTo}d`
+    ).join(', ') || '(none)'} · COD ${codAvailable ? 'yes' : 'no'}`);
+    return options;
+  }
+
+  // ── Delivery Location ─────────────────────────────────────────────────────
+
+  /**
+   * Delivery address the shipping details are quoted for,
+   * e.g. "Sindh, Karachi - Gulshan-e-Iqbal".
+   * @returns {Promise<string|null>}
+   */
+  async getDeliveryLocation() {
+    const text = await this.deliveryAddress.textContent({ timeout: 8_000 }).catch(() => null);
+    return text ? text.replace(/\s+/g, ' ').trim() : null;
+  }
+
+  /**
+   * Pick a delivery address in the location picker and wait for the delivery
+   * block to refresh for it. Without an `area` the first one offered is used.
+   *
+   * @param {{ province: string, city: string, area?: string }} location
+   * @returns {Promise<{ location: string, options: DeliveryOption[] }>} Updated shipping details
+   */
+  async setDeliveryLocation({ province, city, area }) {
+    console.log(`[ProductDetailPage] Setting delivery location: ${[province, city, area].filter(Boolean).join(' / ')}`);
+    const before = await this.getDeliveryLocation();
+
+    await this.changeLocationBtn.click({ timeout: 10_000 });
+    await this.locationPicker.waitFor({ state: 'visible', timeout: 10_000 });
+
+    for (const name of [province, city, area]) {
+      const option = name
+        ? this.locationOptions.filter({ hasText: new RegExp(`^\\s*${escapeRegExp(name)}\\s*$`, 'i') }).first()
+        : this.locationOptions.first();
+      try {
+        await option.waitFor({ state: 'visible', timeout: 5_000 });
+      } catch {
+        const offered = (await this.locationOptions.allTextContents()).map((t) => t.trim());
+        throw new Error(`Location "${name}" not offered — choose from: ${offered.join(', ')}`);
+      }
+      await option.click();
+    }
+
+    // The delivery block is re-rendered in place once the address is saved
+    await expect.poll(() => this.getDeliveryLocation(), {
+      message: `Delivery address did not switch to ${city}`,
+      timeout: 15_000,
+    }).toMatch(new RegExp(`${escapeRegExp(city)}${area ? `[\\s\\S]*${escapeRegExp(area)}` : ''}`, 'i'));
+    await this.deliveryRows.first().waitFor({ state: 'visible', timeout: 10_000 });
+
+    const location = await this.getDeliveryLocation();
+    console.log(`[ProductDetailPage] ✔ Delivery location: ${before} → ${location}`);
+    return { location, options: await this.getDeliveryOptions() };
+  }
+
+  // ── Ratings & Reviews ─────────────────────────────────────────────────────
+
+  /**
+   * Average rating, number of ratings and the 5 → 1 star histogram.
+   * @returns {Promise<RatingSummary>}
+   */
+  async getRatingSummary() {
+    // daraz.pk renders the review module lazily once it scrolls into view
+    await this.reviewSection.scrollIntoViewIfNeeded({ timeout: 10_000 }).catch(() => {});
+    await this.ratingAverage.waitFor({ state: 'visible', timeout: 10_000 }).catch(() => {});
+
+    const averageText = await this.ratingAverage.textContent({ timeout: 3_000 }).catch(() => null);
+    const countText = await this.ratingCount.textContent({ timeout: 3_000 }).catch(() => null);
+    const bars = await this.ratingBars.evaluateAll((rows) => rows.map((row, index) => {
+      const stars = row.dataset.stars || (row.querySelector('[aria-label]')?.getAttribute('aria-label') || '').match(/\d/)?.[0];
+      const count = row.querySelector('.percent, [class*="count"]');
+      return { stars: Number(stars) || 5 - index, count: count ? count.textContent : '' };
+    }));
+
+    const histogram = { 5: 0, 4: 0, 3: 0, 2: 0, 1: 0 };
+    for (const bar of bars) histogram[bar.stars] = Number(bar.count.replace(/[^\d]/g, '')) || 0;
+    const average = averageText ? parseFloat(averageText) : null;
+    const total = countText ? Number(countText.replace(/[^\d]/g, '')) || 0 : null;
+
+    console.log(`[ProductDetailPage] Rating ${average}/5 from ${total} rating(s) — ` +
+      `${[5, 4, 3, 2, 1].map((n) => `${n}★ ${histogram[n]}`).join(', ')}`);
+    return { average: Number.isNaN(average) ? null : average, total, histogram };
+  }
+
+  /**
+   * Read reviews, optionally sorted and filtered to one star count first.
+   * Follows the review pager until `pages` pages are read or it runs out.
+   *
+   * @param {object}  [options]
+   * @param {number}  [options.pages=1]     Number of review pages to read
+   * @param {'relevance'|'recent'|'rating-desc'|'rating-asc'} [options.sort]
+   * @param {1|2|3|4|5} [options.filterStars] Only reviews with this many stars
+   * @returns {Promise<Review[]>}
+   */
+  async getReviews({ pages = 1, sort, filterStars } = {}) {
+    await this.reviewSection.scrollIntoViewIfNeeded({ timeout: 10_000 }).catch(() => {});
+
+    if (sort) {
+      const option = REVIEW_SORTS[sort];
+      if (!option) throw new Error(`Unknown review sort "${sort}" — expected one of: ${Object.keys(REVIEW_SORTS).join(', ')}`);
+      console.log(`[ProductDetailPage] Sorting reviews by ${option.label}`);
+      await this.refreshReviews(() => this.chooseReviewOption(this.reviewSortControl, option.value, option.label));
+    }
+    if (filterStars) {
+      console.log(`[ProductDetailPage] Filtering reviews to ${filterStars} star(s)`);
+      await this.refreshReviews(() =>
+        this.chooseReviewOption(this.reviewFilterControl, String(filterStars), new RegExp(`^\\s*${filterStars}\\s*stars?`, 'i')));
+    }
+
+    const reviews = [];
+    for (let pageNo = 1; pageNo <= pages; pageNo++) {
+      reviews.push(...await this.readReviewItems());
+      if (pageNo === pages) break;
+
+      const hasNext = await this.reviewNextBtn.isVisible().catch(() => false)
+        && await this.reviewNextBtn.isEnabled().catch(() => false);
+      if (!hasNext) {
+        console.log(`[ProductDetailPage] Review pager ends at page ${pageNo}`);
+        break;
+      }
+      await this.refreshReviews(() => this.reviewNextBtn.click());
+    }
+
+    console.log(`[ProductDetailPage] ✔ Read ${reviews.length} review(s)`);
+    return reviews;
+  }
+
+  /**
+   * Reviews currently listed.
+   * @returns {Promise<Review[]>}
+   */
+  async readReviewItems() {
+    const raw = await this.reviewItems.evaluateAll((items) => items.map((item) => {
+      const text = (sel) => {
+        const node = item.querySelector(sel);
+        return node ? node.textContent.replace(/\s+/g, ' ').trim() : null;
+      };
+      const starsLabel = item.querySelector('.container-star, [class*="star"][aria-label]')?.getAttribute('aria-label') || '';
+      return {
+        starsLabel,
+        filledStars: item.querySelectorAll('.star-full, [class*="star-full"]').length,
+        text: text('.item-content .content, [class*="review-content"]') || '',
+        author: text('.middle > span:first-child, [class*="reviewer"]'),
+        date: text('.top .title.right, .top [class*="date"]'),
+        variant: text('.skuInfo, [class*="sku-info"]'),
+        hasPhotos: item.querySelectorAll('.review-image img, [class*="review-image"] img').length > 0,
+      };
+    }));
+
+    return raw.map(({ starsLabel, filledStars, ...review }) => ({
+      ...review,
+      stars: Number(starsLabel.match(/\d/)?.[0]) || filledStars || null,
+      author: review.author ? review.author.replace(/^by\s+/i, '') : null,
+      date: parseReviewDate(review.date),
+    }));
+  }
+
+  /**
+   * Pick an entry in a review sort / filter control: a native <select> by
+   * value, otherwise open the dropdown and click the entry by label.
+   * @param {import('@playwright/test').Locator} control
+   * @param {string} value
+   * @param {string|RegExp} label
+   */
+  async chooseReviewOption(control, value, label) {
+    const tag = await control.evaluate((el) => el.tagName.toLowerCase());
+    if (tag === 'select') {
+      await control.selectOption(value);
+      return;
+    }
+    await control.click();
+    await this.page.getByRole('option', { name: label }).or(this.page.getByText(label, { exact: true })).first().click();
+  }
+
+  /**
+   * Run an action that reloads the review list and wait until the listed
+   * reviews have been replaced.
+   * @param {() => Promise<void>} action
+   */
+  async refreshReviews(action) {
+    const first = await this.reviewItems.first().elementHandle({ timeout: 5_000 }).catch(() => null);
+    await action();
+    if (first) {
+      await this.page.waitForFunction((node) => !node.isConnected, first, { timeout: 15_000 })
+        .catch(() => console.warn('[ProductDetailPage] ⚠ Review list did not refresh'));
+    }
+    await this.reviewItems.first().waitFor({ state: 'visible', timeout: 10_000 }).catch(() => {});
+  }
+
+  // ── Seller ────────────────────────────────────────────────────────────────
+
+  /**
+   * Seller name, storefront scores and official / LazMall status from the
+   * "Sold by" block. Scores the page does not show are null.
+   * @returns {Promise<SellerInfo>}
+   */
+  async getSellerInfo() {
+    await this.sellerBlock.scrollIntoViewIfNeeded({ timeout: 10_000 }).catch(() => {});
+
+    const name = await this.sellerName.textContent({ timeout: 8_000 }).then((t) => t.replace(/\s+/g, ' ').trim()).catch(() => null);
+    const scores = await this.sellerScores.evaluateAll((rows) => rows.map((row) => ({
+      label: row.querySelector('.seller-info-name, [class*="name"]')?.textContent.trim() || '',
+      value: row.querySelector('.seller-info-value, [class*="value"]')?.textContent.trim() || '',
+    })));
+    const percent = (pattern) => {
+      const score = scores.find((s) => pattern.test(s.label));
+      const match = score && score.value.match(/(\d+(?:\.\d+)?)\s*%/);
+      return match ? Number(match[1]) : null;
+    };
+    const badges = (await this.sellerBlock.locator('.seller-badge, [class*="badge"], img[alt]').evaluateAll((nodes) =>
+      nodes.map((n) => n.getAttribute('alt') || n.textContent))).join(' ');
+    const storeUrl = await this.visitStoreLink.evaluate((a) => a.href).catch(() => null);
+
+    const info = {
+      name,
+      positiveRating: percent(/positive/i),
+      shipOnTime: percent(/ship on time/i),
+      chatResponse: percent(/chat|response/i),
+      official: /official/i.test(badges) || /official store/i.test(name || ''),
+      lazMall: /lazmall|mall/i.test(badges),
+      storeUrl,
+    };
+    console.log(`[ProductDetailPage] Seller "${info.name}"${info.lazMall ? ' [LazMall]' : ''}${info.official ? ' [Official]' : ''} — ` +
+      `positive ${info.positiveRating}%, ship on time ${info.shipOnTime}%, chat ${info.chatResponse}%`);
+    return info;
+  }
+
+  /**
+   * Follow "Visit Store" to the seller's storefront.
+   * @returns {Promise<StorePage>}
+   */
+  async visitStore() {
+    console.log('[ProductDetailPage] Visiting seller store');
+    const [newPage] = await Promise.all([
+      this.page.context().waitForEvent('page', { timeout: 5_000 }).catch(() => null),
+      this.visitStoreLink.click({ timeout: 10_000 }),
+    ]);
+
+    const storePage = new StorePage(newPage || this.page);
+    await storePage.waitForStore();
+    return storePage;
+  }
+
+  // ── Image Gallery ─────────────────────────────────────────────────────────
+
+  /**
+   * Select each gallery thumbnail in turn and check the image it shows: the
+   * main image must switch to it, decode (natural size > 0) and be served
+   * with HTTP 200. Without a thumbnail strip only the main image is checked.
+   * @returns {Promise<GalleryImage[]>}
+   */
+  async getGalleryImages() {
+    await this.mainImage.waitFor({ state: 'visible', timeout: 10_000 });
+    const count = await this.galleryThumbs.count();
+    console.log(`[ProductDetailPage] Checking ${count || 1} gallery image(s)`);
+
+    const decode = (img) => img.decode().catch(() => {})
+      .then(() => ({ naturalWidth: img.naturalWidth, naturalHeight: img.naturalHeight }));
+    const images = [];
+    for (let index = 0; index < Math.max(count, 1); index++) {
+      let thumbnail = null;
+      let thumbnailLoaded = false;
+      if (count > 0) {
+        const thumb = this.galleryThumbs.nth(index);
+        const thumbImg = thumb.locator('img').first();
+        thumbnail = await thumbImg.evaluate((img) => img.currentSrc || img.src).catch(() => null);
+        thumbnailLoaded = (await thumbImg.evaluate(decode).catch(() => ({ naturalWidth: 0 }))).naturalWidth > 0;
+
+        await thumb.click({ timeout: 5_000 });
+        await expect.poll(async () => imageKey(await this.getMainImageSrc()), { timeout: 5_000 })
+          .toBe(imageKey(thumbnail))
+          .catch(() => {});  // reported through `shown`
+      }
+
+      const src = await this.getMainImageSrc();
+      const size = await this.mainImage.evaluate(decode).catch(() => ({ naturalWidth: 0, naturalHeight: 0 }));
+      const status = src ? await this.page.request.get(src).then((res) => res.status()).catch(() => null) : null;
+      images.push({
+        index,
+        thumbnail,
+        thumbnailLoaded,
+        src,
+        status,
+        ...size,
+        shown: thumbnail === null || imageKey(src) === imageKey(thumbnail),
+      });
+    }
+
+    const broken = images.filter((img) => img.status !== 200 || img.naturalWidth === 0);
+    console.log(`[ProductDetailPage] ${images.length} gallery image(s), ${broken.length} broken`);
+    return images;
+  }
+
+  /**
+   * Open the zoom / full-size preview of the main image, then close it again.
+   * @returns {Promise<{ opened: boolean, src: string|null, matchesMain: boolean }>}
+   */
+  async openImagePreview() {
+    const mainSrc = await this.getMainImageSrc();
+    await this.mainImage.hover();
+    if (!await this.imagePreview.isVisible()) await this.mainImage.click({ timeout: 5_000 });
+
+    const opened = await this.imagePreview.waitFor({ state: 'visible', timeout: 5_000 }).then(() => true, () => false);
+    if (!opened) {
+      console.warn('[ProductDetailPage] ⚠ Image preview did not open');
+      return { opened, src: null, matchesMain: false };
+    }
+
+    const src = await this.imagePreview.locator('img').first().evaluate((img) => img.currentSrc || img.src).catch(() => null);
+    if (await this.imagePreviewClose.isVisible()) await this.imagePreviewClose.click();
+    else await this.page.keyboard.press('Escape');
+    await this.imagePreview.waitFor({ state: 'hidden', timeout: 5_000 }).catch(() => {});
+
+    console.log(`[ProductDetailPage] ✔ Image preview opened${src ? `: ${src}` : ''}`);
+    return { opened, src, matchesMain: src !== null && imageKey(src) === imageKey(mainSrc) };
+  }
+
   // ── Free Shipping Check ───────────────────────────────────────────────────
 
   /**
-   * Check whether free shipping is advertised on the product page.
+   * Check whether any delivery option ships for free.
    *
    * Strategy:
-   *   1. Look for explicit "free shipping" UI elements.
-   *   2. Fall back to a full-text scan of the page body.
+   *   1. Use the parsed delivery options (fee of 0 / "Free").
+   *   2. Without a recognisable delivery widget, look for a whole
+   *      "free shipping" / "free delivery" phrase in shipping widgets only.
    *
    * @returns {Promise<boolean>} true if free shipping is detected
    */
   async isFreeShippingAvailable() {
     console.log('[ProductDetailPage] Checking for free shipping …');
 
-    // 1. Check dedicated shipping widgets
-    const widgetCount = await this.shippingSection.count();
-    for (let i = 0; i < widgetCount; i++) {
-      const text = (await this.shippingSection.nth(i).textContent().catch(() => '')).toLowerCase();
-      if (FREE_SHIPPING_KEYWORDS.some((kw) => text.includes(kw))) {
-        console.log(`[ProductDetailPage] ✔ Free shipping found in shipping widget: "${text.trim()}"`);
-        return true;
-      }
+    // 1. Parsed delivery options
+    const options = await this.getDeliveryOptions();
+    if (options.length > 0) {
+      const free = options.find((o) => o.isFree);
+      console.log(free
+        ? `[ProductDetailPage] ✔ Free ${free.type} delivery: "${free.evidence.title} — ${free.evidence.fee}"`
+        : '[ProductDetailPage] No delivery option is free');
+      return Boolean(free);
     }
 
-    // 2. Full page body text scan (catches lazy-loaded elements)
-    const bodyText = (await this.pageBody.textContent().catch(() => '')).toLowerCase();
-    const found = FREE_SHIPPING_KEYWORDS.some((kw) => bodyText.includes(kw));
-    console.log(`[ProductDetailPage] Free shipping text scan result: ${found}`);
-    return found;
+    // 2. Phrase scan of shipping widgets
+    const texts = (await this.shippingSection.allTextContents()).map((t) => t.toLowerCase());
+    const hit = texts.find((text) => FREE_SHIPPING_KEYWORDS.some((kw) => text.includes(kw)));
+    console.log(`[ProductDetailPage] Free shipping widget scan result: ${Boolean(hit)}${hit ? ` ("${hit.trim()}")` : ''}`);
+    return Boolean(hit);
   }
 
   // ── Assertions ────────────────────────────────────────────────────────────
@@ -149,6 +1248,197 @@ class ProductDetailPage {
     }
   }
 
+  /**
+   * Assert every delivery option was fully read: a fee (0 exactly when free)
+   * and an ETA range that is not inverted. Options with an unrecognised
+   * title ('unknown') are only warned about and skipped, unless `strict`.
+   * @param {object}  [options]
+   * @param {boolean} [options.strict=false]  Fail on an 'unknown' delivery option
+   * @returns {Promise<DeliveryOption[]>}
+   */
+  async assertDeliveryOptionsValid({ strict = false } = {}) {
+    const options = await this.getDeliveryOptions();
+    expect(options.length, 'No delivery options found on the product page').toBeGreaterThan(0);
+
+    for (const option of options) {
+      const label = `${option.type} ("${option.evidence.title}")`;
+      if (option.type === 'unknown') {
+        expect(strict, `Unrecognised delivery option "${option.evidence.title}"`).toBe(false);
+        console.warn(`[ProductDetailPage] ⚠ Unrecognised delivery option "${option.evidence.title}" — not checked`);
+        continue;
+      }
+      expect(option.fee, `${label} fee from "${option.evidence.fee}"`).not.toBeNull();
+      expect(option.fee, `${label} fee`).toBeGreaterThanOrEqual(0);
+      expect(option.isFree, `${label} isFree`).toBe(option.fee === 0);
+      if (option.etaFrom !== null && option.etaTo !== null) {
+        expect(option.etaFrom, `${label} ETA "${option.evidence.eta}"`).toBeLessThanOrEqual(option.etaTo);
+      }
+    }
+    console.log(`[ProductDetailPage] ✔ ${options.length} delivery option(s) read`);
+    return options;
+  }
+
+  /**
+   * Assert the star histogram adds up to the rating count and its weighted
+   * mean agrees with the displayed average.
+   * @param {{ tolerance?: number }} [options] - Allowed average difference (stars)
+   * @returns {Promise<RatingSummary>}
+   */
+  async assertRatingHistogramConsistent({ tolerance = 0.1 } = {}) {
+    const summary = await this.getRatingSummary();
+    expect(summary.total, 'Rating count not found on the product page').not.toBeNull();
+    expect(summary.average, 'Average rating not found on the product page').not.toBeNull();
+
+    const counts = [5, 4, 3, 2, 1].map((n) => summary.histogram[n]);
+    const sum = counts.reduce((a, b) => a + b, 0);
+    expect(sum, `Histogram ${counts.join('/')} does not add up to ${summary.total} ratings`).toBe(summary.total);
+
+    if (sum > 0) {
+      const mean = [5, 4, 3, 2, 1].reduce((acc, n) => acc + n * summary.histogram[n], 0) / sum;
+      expect(Math.abs(mean - summary.average),
+        `Histogram mean ${mean.toFixed(2)} vs displayed average ${summary.average}`).toBeLessThanOrEqual(tolerance);
+    }
+    console.log(`[ProductDetailPage] ✔ Histogram adds up to ${summary.total} rating(s)`);
+    return summary;
+  }
+
+  /**
+   * Assert the embedded product data agrees with what the page renders:
+   * title, price and average rating. Lists every mismatch on failure.
+   * @param {{ priceTolerance?: number, ratingTolerance?: number }} [options]
+   * @returns {Promise<StructuredProduct>}
+   */
+  async assertStructuredDataMatchesPage({ priceTolerance = 1, ratingTolerance = 0.1 } = {}) {
+    const data = await this.getStructuredData();
+    expect(data, 'No JSON-LD or page-data product payload found').not.toBeNull();
+
+    // Read the DOM directly — the getters fall back to the structured data
+    const normalize = (text) => (text || '').replace(/\s+/g, ' ').trim().toLowerCase();
+    const title = await this.productTitle.textContent({ timeout: 10_000 }).catch(() => null);
+    const priceText = await this.productPrice.textContent({ timeout: 8_000 }).catch(() => null);
+    const price = priceText ? parseMoney(priceText).amount : null;
+    const { average } = await this.getRatingSummary();
+
+    const mismatches = [];
+    if (normalize(title) !== normalize(data.title)) {
+      mismatches.push(`title: rendered "${title && title.trim()}", data "${data.title}"`);
+    }
+    if (price === null || data.price === null || Math.abs(price - data.price) > priceTolerance) {
+      mismatches.push(`price: rendered ${price}, data ${data.price}`);
+    }
+    if (data.rating.average !== null && (average === null || Math.abs(average - data.rating.average) > ratingTolerance)) {
+      mismatches.push(`rating: rendered ${average}, data ${data.rating.average}`);
+    }
+
+    expect(mismatches, `Structured data disagrees with the page:\n  ${mismatches.join('\n  ')}`).toEqual([]);
+    console.log('[ProductDetailPage] ✔ Structured data matches the rendered title, price and rating');
+    return data;
+  }
+
+  /**
+   * Assert the displayed discount % matches (original − current) / original.
+   * Daraz rounds the percentage, so it may be off by up to `tolerance`
+   * percentage points. A page with no original price must show no discount.
+   * @param {{ tolerance?: number }} [options]
+   * @returns {Promise<Promotions>}
+   */
+  async assertDiscountMatchesPrices({ tolerance = 1 } = {}) {
+    const promo = await this.getPromotions();
+    expect(promo.price, 'Selling price not found on the product page').not.toBeNull();
+
+    if (promo.originalPrice === null) {
+      expect(promo.discount, `Discount -${promo.discount}% shown without an original price`).toBeNull();
+      console.log('[ProductDetailPage] ✔ No discount shown');
+      return promo;
+    }
+
+    expect(promo.originalPrice, `Original price Rs ${promo.originalPrice} is not above the price Rs ${promo.price}`)
+      .toBeGreaterThan(promo.price);
+    expect(promo.discount, `Original price Rs ${promo.originalPrice} shown without a discount %`).not.toBeNull();
+    const expected = ((promo.originalPrice - promo.price) / promo.originalPrice) * 100;
+    expect(Math.abs(promo.discount - expected),
+      `Displayed -${promo.discount}% vs ${expected.toFixed(2)}% from Rs ${promo.originalPrice} → Rs ${promo.price}`)
+      .toBeLessThanOrEqual(tolerance);
+    console.log(`[ProductDetailPage] ✔ Discount -${promo.discount}% matches Rs ${promo.originalPrice} → Rs ${promo.price}`);
+    return promo;
+  }
+
+  /**
+   * Assert the page shows the product of the search card it was opened from:
+   * same item id, same title (cards may truncate it), a price within the
+   * tolerance and the same average rating. The card's price is usually the
+   * default SKU's; give a tolerance when a different SKU is selected. Lists
+   * every mismatch on failure.
+   * @param {object} [options]
+   * @param {number} [options.priceTolerance=0]         Allowed difference in PKR
+   * @param {number} [options.priceTolerancePercent=0]  …or in % of the card price, whichever is larger
+   * @param {number} [options.ratingTolerance=0.1]      Allowed difference in stars
+   * @param {import('./SearchResultsPage').ProductCard} [options.listing=this.listing]
+   * @returns {Promise<{ title: string, price: number|null, rating: number|null }>} What the page shows
+   */
+  async assertMatchesListing({
+    priceTolerance = 0, priceTolerancePercent = 0, ratingTolerance = 0.1, listing = this.listing,
+  } = {}) {
+    expect(listing, 'No search card recorded — open the product with SearchResultsPage.openProduct()').toBeTruthy();
+
+    const itemId = (this.page.url().match(/-i(\d+)/) || [])[1] || null;
+    const shown = {
+      title: await this.getProductTitle(),
+      price: await this.getProductPrice(),
+      rating: (await this.getRatingSummary()).average,
+    };
+
+    const mismatches = [];
+    if (listing.itemId && itemId && listing.itemId !== itemId) {
+      mismatches.push(`item id: card ${listing.itemId}, page ${itemId}`);
+    }
+    const cardTitle = normalizeTitle(listing.title);
+    const pageTitle = normalizeTitle(shown.title);
+    if (!cardTitle || !(pageTitle.startsWith(cardTitle) || cardTitle.startsWith(pageTitle))) {
+      mismatches.push(`title: card "${listing.title}", page "${shown.title}"`);
+    }
+    if (listing.price !== null) {
+      const allowed = Math.max(priceTolerance, (listing.price * priceTolerancePercent) / 100);
+      if (shown.price === null || Math.abs(shown.price - listing.price) > allowed) {
+        mismatches.push(`price: card Rs ${listing.price}, page Rs ${shown.price} (tolerance Rs ${Math.round(allowed)})`);
+      }
+    }
+    if (listing.rating !== null && shown.rating !== null && Math.abs(shown.rating - listing.rating) > ratingTolerance) {
+      mismatches.push(`rating: card ${listing.rating}, page ${shown.rating}`);
+    }
+
+    expect(mismatches, `Product page disagrees with its search card:\n  ${mismatches.join('\n  ')}`).toEqual([]);
+    console.log(`[ProductDetailPage] ✔ Page matches its search card: "${shown.title}" at Rs ${shown.price}`);
+    return shown;
+  }
+
+  /**
+   * Assert every gallery image loads and switches the main image, the main
+   * image changes between thumbnails and the preview opens. Lists every
+   * problem on failure.
+   * @returns {Promise<GalleryImage[]>}
+   */
+  async assertGalleryImagesValid() {
+    const images = await this.getGalleryImages();
+    const problems = [];
+    for (const img of images) {
+      const label = `image ${img.index + 1} (${img.src})`;
+      if (img.status !== 200) problems.push(`${label}: HTTP ${img.status}`);
+      if (img.naturalWidth === 0) problems.push(`${label}: did not decode (natural width 0)`);
+      if (img.thumbnail && !img.thumbnailLoaded) problems.push(`thumbnail ${img.index + 1} (${img.thumbnail}) did not load`);
+      if (!img.shown) problems.push(`thumbnail ${img.index + 1} did not switch the main image`);
+    }
+    const distinct = new Set(images.map((img) => imageKey(img.src)));
+    if (images.length > 1 && distinct.size < 2) problems.push('main image never changed between thumbnails');
+
+    const preview = await this.openImagePreview();
+    if (!preview.opened) problems.push('zoom / preview did not open');
+
+    expect(problems, `Gallery problems:\n  ${problems.join('\n  ')}`).toEqual([]);
+    console.log(`[ProductDetailPage] ✔ ${images.length} gallery image(s) load and switch`);
+    return images;
+  }
+
   /**
    * Assert free shipping is available (hard fail if absent).
    */
@@ -181,9 +1471,12 @@ class ProductDetailPage {
       await this.addToCartBtn.waitFor({ state: 'visible', timeout: 8_000 });
       console.log('[ProductDetailPage] ✔ Add to Cart button is visible');
     } catch {
-      console.warn('[ProductDetailPage] ⚠ Add to Cart button not found (may be a sold-out item)');
+      const { status, text } = await this.getAvailability();
+      console.warn(`[ProductDetailPage] ⚠ Add to Cart button not found — availability: ${status}${text ? ` ("${text}")` : ''}`);
     }
   }
 }
 
 module.exports = ProductDetailPage;
+// Widget text parsers, for unit tests
+module.exports.parsers = { parseFee, parseVoucher, parseInstallment };
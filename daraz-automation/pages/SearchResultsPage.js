@@ -4,13 +4,124 @@
 // Responsibilities:
 //   - Apply brand filter
 //   - Apply price range filter
+//   - Apply several sidebar facets at once
+//   - Discover which facets and options the sidebar offers
+//   - Read and remove active filter chips
+//   - Verify every result belongs to the selected brand(s)
+//   - Classify the search outcome (results / empty / corrected / redirected)
+//   - Read and assert the category listing breadcrumb
+//   - Change and verify the sort order
+//   - Walk result pages and read the total result count
+//   - Navigate to / assert filtered states through the catalog URL
 //   - Count visible products
-//   - Open a specific product
+//   - Extract structured product card data
+//   - Open a specific product, remembering the card it was opened from
 // ─────────────────────────────────────────────────────────────────────────────
 
 const { expect } = require('@playwright/test');
-const { sleep, dismissPopups, parsePrice, assertPricesInRange } = require('../utils/helpers');
-const { TARGET_BRANDS, PRICE_MIN, PRICE_MAX, MIN_PRODUCT_COUNT, FILTER_WAIT, RESULTS_WAIT } = require('../config/constants');
+const CatalogQuery = require('../utils/CatalogQuery');
+const ProductDetailPage = require('./ProductDetailPage');
+const { sleep, dismissPopups, parseMoney, escapeRegExp, findOutOfOrder, assertPricesInRange } = require('../utils/helpers');
+const {
+  BASE_URL, TARGET_BRANDS, PRICE_MIN, PRICE_MAX, MIN_PRODUCT_COUNT, FILTER_WAIT, RESULTS_WAIT, SORT_OPTIONS,
+} = require('../config/constants');
+
+/**
+ * @typedef {object} ProductCard
+ * @property {string}      title
+ * @property {number|null} price          Current price (PKR)
+ * @property {number|null} originalPrice  Strike-through price, null when not discounted
+ * @property {number|null} discount       Discount % (shown on the card, else computed)
+ * @property {number|null} rating         Average stars, 0–5
+ * @property {number|null} reviewCount
+ * @property {string}      location       Seller location, e.g. "Karachi"
+ * @property {string[]}    badges         e.g. ["LazMall", "Free Shipping"]
+ * @property {boolean}     lazMall
+ * @property {boolean}     freeShipping
+ * @property {boolean}     sponsored      Paid placement, pinned regardless of sort
+ * @property {string}      url            Absolute product detail URL
+ * @property {string|null} itemId
+ */
+
+// Selectors for the fields inside one product card (first match wins)
+const CARD_FIELDS = {
+  title:         '.title--wFj93 a, [class*="title--"], .title, a[title]',
+  price:         '.price--NVB62, [data-qa-locator="product-price"], .product-price',
+  originalPrice: '.origPrice--AJxRs del, [class*="origPrice"] del, .price-original del, del',
+  discount:      '.discount--HADrg, [class*="discount"], .discount',
+  rating:        '.rating, [class*="rating--"], [class*="ratingStar"]',
+  reviews:       '.rating__review--ygkUy, [class*="rating__review"], .rating-review',
+  location:      '.location--eh0Ro, [class*="location"], .location',
+  badges:        '.badge, [class*="badge--"], [class*="flag"] img[alt], .lazmall',
+};
+
+/**
+ * Turn the raw strings scraped from a card into a typed ProductCard.
+ * @param {object} raw
+ * @returns {ProductCard}
+ */
+function toProductCard(raw) {
+  const price = raw.price ? parseMoney(raw.price).amount : null;
+  const originalPrice = raw.originalPrice ? parseMoney(raw.originalPrice).amount : null;
+
+  const discountMatch = (raw.discount || '').match(/(\d+(?:\.\d+)?)\s*%/);
+  let discount = discountMatch ? parseFloat(discountMatch[1]) : null;
+  if (discount === null && price && originalPrice > price) {
+    discount = Math.round(((originalPrice - price) / originalPrice) * 100);
+  }
+
+  // Rating may be an attribute ("4.6"), an aria label ("Rated 4.6 out of 5"),
+  // or a count of filled star icons
+  const ratingMatch = (raw.rating || '').match(/\d+(?:\.\d+)?/);
+  const rating = ratingMatch ? parseFloat(ratingMatch[0]) : raw.filledStars || null;
+
+  const reviewsMatch = (raw.reviews || '').replace(/,/g, '').match(/\d+/);
+  const badges = [...new Set(raw.badges.map((b) => b.trim()).filter(Boolean))];
+
+  return {
+    title: raw.title,
+    price,
+    originalPrice: originalPrice !== null && originalPrice !== price ? originalPrice : null,
+    discount,
+    rating,
+    reviewCount: reviewsMatch ? parseInt(reviewsMatch[0], 10) : null,
+    location: raw.location,
+    badges,
+    lazMall: badges.some((b) => /lazmall|mall/i.test(b)),
+    freeShipping: badges.some((b) => /free\s*(shipping|delivery)/i.test(b)),
+    sponsored: badges.some((b) => /sponsored|^ad$/i.test(b)),
+    url: raw.url,
+    itemId: raw.itemId || ((raw.url || '').match(/-i(\d+)/) || [])[1] || null,
+  };
+}
+
+// Alternative sidebar labels for the Service facet options
+const SERVICE_ALIASES = {
+  'free shipping':    ['Free Shipping', 'Free Delivery'],
+  'free delivery':    ['Free Delivery', 'Free Shipping'],
+  'cod':              ['Cash On Delivery', 'COD'],
+  'cash on delivery': ['Cash On Delivery', 'COD'],
+  'lazmall':          ['LazMall', 'DarazMall', 'Daraz Mall'],
+  'darazmall':        ['DarazMall', 'LazMall', 'Daraz Mall'],
+};
+
+// Which card field each verifiable sort order is keyed on
+const SORT_FIELDS = {
+  'price-asc':  { field: 'price',  direction: 'asc' },
+  'price-desc': { field: 'price',  direction: 'desc' },
+  'top-rated':  { field: 'rating', direction: 'desc' },
+};
+
+/**
+ * Whether `text` mentions `brand` as whole words ("Anker" in "Anker 20W Charger",
+ * but not "HP" in "Headphones"). Compares slugs, so case and punctuation differ freely.
+ * @param {string} text
+ * @param {string} brand
+ * @returns {boolean}
+ */
+function mentionsBrand(text, brand) {
+  return `-${CatalogQuery.slug(text)}-`.includes(`-${CatalogQuery.slug(brand)}-`);
+}
 
 class SearchResultsPage {
   /**
@@ -33,6 +144,34 @@ class SearchResultsPage {
     // Sort & filter panel
     this.filterPanel      = page.locator('.filter-panel, aside[class*="filter"], [data-qa-locator="filter-panel"]');
 
+    // Facet groups inside the panel (Category, Brand, Service, Location, Rating, Price)
+    this.facetGroups      = page.locator('.filter-group, [class*="filter-group"], [data-qa-locator="filter-group"]');
+    this.viewMoreButtons  = page.locator('button, a, span').filter({ hasText: /^\s*(view|see|show)\s+more\s*$/i });
+
+    // Active filter chips ("Filters: Samsung × Rs 500 - Rs 5,000 ×  Clear All")
+    this.activeFilterChips = page.locator('.active-filters .filter-tag, [data-qa-locator="active-filter"], [class*="selected-filter"] [class*="tag"]');
+    this.clearAllBtn       = page.locator('.clear-all, a:has-text("Clear All"), button:has-text("Clear All")').first();
+
+    // Search outcome markers
+    this.noResultsBlock   = page.locator('.no-result, [class*="noResult"], [class*="no-result"]')
+      .or(page.getByText(/search no result|no results found|cannot find any matches/i)).first();
+    this.spellingBanner   = page.locator('.search-correction, [class*="spellcheck"], [class*="did-you-mean"]')
+      .or(page.getByText(/did you mean|showing results for/i)).first();
+
+    // "Sort By" control — native <select> or a custom dropdown
+    this.sortSelect       = page.locator('select[data-qa-locator="sort-select"], select[name="sort"]').first();
+    this.sortDropdown     = page.locator('[data-qa-locator="sort-dropdown"], .ant-select-selection, [class*="sort"] [class*="select"]').first();
+    this.sortOptions      = page.locator('.ant-select-dropdown-menu-item, [role="option"], [data-qa-locator="sort-option"]');
+
+    // Pager and "N items found" header
+    this.pagination       = page.locator('.ant-pagination, [class*="pagination"]').first();
+    this.pageItems        = page.locator('.ant-pagination-item, [class*="pagination-item"]');
+    this.nextPageBtn      = page.locator('.ant-pagination-next, li[title="Next Page"]').first();
+    this.totalItemsText   = page.locator('.total-items, [data-qa-locator="total-items"], span:has-text("items found")').first();
+
+    // Category listing breadcrumb ("Home / Electronic Devices / Smartphones")
+    this.breadcrumbItems  = page.locator('.breadcrumb .breadcrumb_item, [class*="breadcrumb"] li, nav[aria-label="breadcrumb"] li');
+
     // Product price labels inside cards
     this.productPrices    = page.locator('.price--NVB62, [data-qa-locator="product-price"], .product-price');
   }
@@ -100,17 +239,685 @@ class SearchResultsPage {
     } catch {
       // Sidebar inputs not found — inject filter via URL query params
       console.warn('[SearchResultsPage] Sidebar price inputs not found — using URL params');
-      const currentUrl = this.page.url();
-      const url = new URL(currentUrl);
-      url.searchParams.set('price', `${min}-${max}`);
-      await this.page.goto(url.toString(), { waitUntil: 'domcontentloaded', timeout: 30_000 });
-      console.log(`[SearchResultsPage] ✔ Price filter applied via URL: ${url.toString()}`);
+      const url = await this.gotoQuery({ ...this.getQuery(), price: { min, max }, page: 1 }, { keepPath: true });
+      console.log(`[SearchResultsPage] ✔ Price filter applied via URL: ${url}`);
     }
 
     await sleep(RESULTS_WAIT);
     await dismissPopups(this.page);
   }
 
+  // ── Multi-Facet Filters ───────────────────────────────────────────────────
+
+  /**
+   * Apply several sidebar facets in turn, waiting for the results to refresh
+   * after each one. Facets that are not offered in the sidebar are skipped.
+   *
+   * @param {object}   filters
+   * @param {string}   [filters.category]  Category name, e.g. "Smartphones"
+   * @param {string[]} [filters.brands]    e.g. ["Samsung", "Xiaomi"]
+   * @param {string|string[]} [filters.location]  e.g. "Karachi"
+   * @param {string[]} [filters.service]   e.g. ["Free Shipping", "COD"]
+   * @param {number}   [filters.rating]    Minimum stars, 1–5
+   * @param {{ min?: number, max?: number }} [filters.price]
+   * @returns {Promise<{ applied: object, unavailable: object }>}
+   */
+  async applyFilters({ category, brands = [], location = [], service = [], rating, price } = {}) {
+    console.log('[SearchResultsPage] Applying filters …');
+    await dismissPopups(this.page);
+
+    const summary = { applied: {}, unavailable: {} };
+    const record = (facet, applied, unavailable) => {
+      if (applied.length) summary.applied[facet] = applied;
+      if (unavailable.length) summary.unavailable[facet] = unavailable;
+    };
+
+    // Category first — it changes which brands / locations the sidebar offers
+    if (category) {
+      const hit = await this.clickFacetOption('Category', [category]);
+      if (hit) summary.applied.category = category;
+      else summary.unavailable.category = category;
+    }
+
+    const multiSelect = [
+      ['brands',   'Brand',    brands,                (value) => [value]],
+      ['location', 'Location', [].concat(location),   (value) => [value]],
+      ['service',  'Service',  service,               (value) => SERVICE_ALIASES[value.toLowerCase()] || [value]],
+    ];
+
+    for (const [facet, groupName, values, labelsFor] of multiSelect) {
+      const applied = [];
+      const unavailable = [];
+      for (const value of values) {
+        const hit = await this.clickFacetOption(groupName, labelsFor(value));
+        (hit ? applied : unavailable).push(value);
+      }
+      record(facet, applied, unavailable);
+    }
+
+    if (rating != null) {
+      const hit = await this.clickFacetOption('Rating', [
+        new RegExp(`^\\s*[★☆\\s]*${rating}\\s*stars?`, 'i'),
+        new RegExp(`\\b${rating}\\s*stars?\\b`, 'i'),
+      ]);
+      if (hit) summary.applied.rating = rating;
+      else summary.unavailable.rating = rating;
+    }
+
+    // Price last — the inputs survive other facet changes, and the URL fallback
+    // in applyPriceFilter() always succeeds
+    if (price) {
+      await this.applyPriceFilter(price.min ?? '', price.max ?? '');
+      summary.applied.price = price;
+    }
+
+    console.log(`[SearchResultsPage] ✔ Filters applied: ${JSON.stringify(summary.applied)}`);
+    if (Object.keys(summary.unavailable).length) {
+      console.warn(`[SearchResultsPage] ⚠ Filters not available: ${JSON.stringify(summary.unavailable)}`);
+    }
+    return summary;
+  }
+
+  /**
+   * Locate a sidebar facet group by its heading text.
+   * @param {string} name - e.g. "Brand", "Service", "Location"
+   * @returns {import('@playwright/test').Locator}
+   */
+  facetGroup(name) {
+    const heading = this.page.locator('h3, h4, .title, [class*="title"]', {
+      hasText: new RegExp(`^\\s*${escapeRegExp(name)}\\s*$`, 'i'),
+    });
+    return this.facetGroups.filter({ has: heading }).first();
+  }
+
+  /**
+   * Click the first option in a facet group that matches one of `labels`.
+   * An option that is already checked counts as applied and is left alone.
+   *
+   * @param {string} groupName
+   * @param {(string|RegExp)[]} labels - Alternatives, tried in order
+   * @returns {Promise<string|RegExp|null>} The label that matched, or null
+   */
+  async clickFacetOption(groupName, labels) {
+    const group = this.facetGroup(groupName);
+    await this.expandFacets(group);
+
+    for (const label of labels) {
+      const pattern = label instanceof RegExp ? label : new RegExp(`(^|\\W)${escapeRegExp(label)}(\\W|$)`, 'i');
+      const option = group.locator('label, a, [role="checkbox"], [role="radio"]').filter({ hasText: pattern }).first();
+
+      if (!(await option.isVisible().catch(() => false))) continue;
+
+      const alreadySelected = await option.evaluate((el) =>
+        el.matches('.selected, .active, [aria-checked="true"], [aria-selected="true"]') ||
+        !!el.querySelector('input[type="checkbox"]:checked, input[type="radio"]:checked'));
+      if (alreadySelected) {
+        console.log(`[SearchResultsPage] ${groupName} "${label}" already selected`);
+        return label;
+      }
+
+      const previousUrl = this.page.url();
+      await option.click();
+      console.log(`[SearchResultsPage] ✔ ${groupName} selected: ${label}`);
+      await this.waitForResultsRefresh(previousUrl);
+      return label;
+    }
+
+    return null;
+  }
+
+  /**
+   * Click every "View More" toggle so collapsed facet options become visible.
+   * @param {import('@playwright/test').Locator} [scope=this.filterPanel]
+   */
+  async expandFacets(scope = this.filterPanel) {
+    const toggles = scope.locator(this.viewMoreButtons);
+    const count = await toggles.count().catch(() => 0);
+    // Iterate from the end — a clicked toggle may remove itself from the DOM
+    for (let i = count - 1; i >= 0; i--) {
+      await toggles.nth(i).click({ timeout: 2_000 }).catch(() => {});
+    }
+  }
+
+  /**
+   * Read every facet group in the sidebar with its options.
+   * Collapsed options ("View More") are expanded first.
+   *
+   * @returns {Promise<{ name: string, options: { label: string, selected: boolean, count: number|null }[],
+   *                     range?: { min: string, max: string } }[]>}
+   */
+  async getAvailableFacets() {
+    await this.filterPanel.first().waitFor({ state: 'visible', timeout: 10_000 }).catch(() => {});
+    await this.expandFacets();
+
+    const facets = await this.facetGroups.evaluateAll((groups) => groups.map((group) => {
+      const heading = group.querySelector('h3, h4, .title, [class*="title"]');
+      const options = [...group.querySelectorAll('label, a, [role="checkbox"], [role="radio"]')]
+        // A label wrapping a link (or vice versa) is one option, not two
+        .filter((el, _, all) => !all.some((other) => other !== el && other.contains(el)))
+        .map((el) => {
+          const text = el.textContent.replace(/\s+/g, ' ').trim();
+          const countMatch = text.match(/\((\d[\d,]*)\)\s*$/);
+          return {
+            label: text.replace(/\((\d[\d,]*)\)\s*$/, '').replace(/[★☆]/g, '').trim(),
+            selected: el.matches('.selected, .active, [aria-checked="true"], [aria-selected="true"]') ||
+              !!el.querySelector('input:checked'),
+            count: countMatch ? parseInt(countMatch[1].replace(/,/g, ''), 10) : null,
+          };
+        })
+        .filter((option) => option.label);
+
+      const facet = { name: heading ? heading.textContent.trim() : '', options };
+      const inputs = group.querySelectorAll('input[type="number"], input[placeholder*="Min"], input[placeholder*="Max"]');
+      if (inputs.length >= 2) facet.range = { min: inputs[0].value, max: inputs[inputs.length - 1].value };
+      return facet;
+    }));
+
+    const named = facets.filter((f) => f.name);
+    console.log(
+      '[SearchResultsPage] Available facets: ' +
+      named.map((f) => `${f.name} (${f.options.length})`).join(', ')
+    );
+    return named;
+  }
+
+  /**
+   * Wait for the listing to reflect a filter change: the URL changes (full
+   * reload or pushState), then the product grid renders again.
+   * @param {string} previousUrl
+   */
+  async waitForResultsRefresh(previousUrl) {
+    await this.page.waitForURL((url) => url.toString() !== previousUrl, { timeout: RESULTS_WAIT * 2 })
+      .catch(() => console.warn('[SearchResultsPage] ⚠ URL did not change — results may not have refreshed'));
+    await this.page.waitForLoadState('domcontentloaded').catch(() => {});
+    await this.productCards.first().waitFor({ state: 'visible', timeout: 10_000 }).catch(() => {});
+  }
+
+  // ── Active Filters ────────────────────────────────────────────────────────
+
+  /**
+   * Read the filters that are currently active, from the chips above the grid
+   * and the selected options in the sidebar. A filter shown in both places is
+   * listed once with both sources.
+   * @returns {Promise<{ facet: string, label: string, sources: ('chip'|'sidebar')[] }[]>}
+   */
+  async getActiveFilters() {
+    const chips = await this.activeFilterChips.evaluateAll((els) => els.map((el) => ({
+      facet: el.getAttribute('data-facet') || '',
+      label: el.textContent.replace(/[×✕]/g, '').replace(/\s+/g, ' ').trim(),
+    })));
+
+    const sidebar = (await this.getAvailableFacets())
+      .flatMap((f) => f.options.filter((o) => o.selected).map((o) => ({ facet: f.name.toLowerCase(), label: o.label })));
+
+    const merged = new Map();
+    for (const [source, items] of [['chip', chips], ['sidebar', sidebar]]) {
+      for (const { facet, label } of items) {
+        const key = label.toLowerCase();
+        const entry = merged.get(key) || { facet, label, sources: [] };
+        entry.facet = entry.facet || facet;
+        entry.sources.push(source);
+        merged.set(key, entry);
+      }
+    }
+
+    const active = [...merged.values()];
+    console.log(`[SearchResultsPage] Active filters: ${active.map((f) => `${f.label} [${f.sources}]`).join(', ') || 'none'}`);
+    return active;
+  }
+
+  /**
+   * Remove one active filter by its label — through its chip when there is one,
+   * otherwise by unticking it in the sidebar — and confirm the result count
+   * did not shrink.
+   *
+   * @param {string} name - Chip / option label, e.g. "Samsung"
+   * @param {{ expectIncrease?: boolean }} [options] - Require the count to grow (default)
+   * @returns {Promise<{ before: number, after: number }>}
+   */
+  async removeFilter(name, { expectIncrease = true } = {}) {
+    console.log(`[SearchResultsPage] Removing filter: ${name}`);
+    const before = await this.getResultCount();
+    const previousUrl = this.page.url();
+
+    const chip = this.activeFilterChips.filter({ hasText: new RegExp(escapeRegExp(name), 'i') }).first();
+    if (await chip.isVisible().catch(() => false)) {
+      const close = chip.locator('a, button, [class*="close"], [aria-label^="Remove"]').first();
+      await ((await close.count()) > 0 ? close : chip).click();
+      await this.waitForResultsRefresh(previousUrl);
+    } else {
+      // No chip — untick the selected option in its sidebar group instead
+      const active = (await this.getActiveFilters()).find((f) => f.label.toLowerCase() === name.toLowerCase());
+      if (!active) throw new Error(`Active filter "${name}" not found in chips or sidebar`);
+
+      const option = this.facetGroup(active.facet)
+        .locator('label, a, [role="checkbox"], [role="radio"]')
+        .filter({ hasText: new RegExp(escapeRegExp(name), 'i') })
+        .first();
+      await option.click();
+      await this.waitForResultsRefresh(previousUrl);
+    }
+
+    const after = await this.getResultCount();
+    console.log(`[SearchResultsPage] Result count after removing "${name}": ${before} → ${after}`);
+    expect(after).toBeGreaterThanOrEqual(before);
+    if (expectIncrease) expect(after).toBeGreaterThan(before);
+    console.log(`[SearchResultsPage] ✔ Filter "${name}" removed`);
+    return { before, after };
+  }
+
+  /**
+   * Remove every active filter via "Clear All" (or chip by chip when there is
+   * no such link) and confirm none remain.
+   * @returns {Promise<{ before: number, after: number }>}
+   */
+  async clearAllFilters() {
+    console.log('[SearchResultsPage] Clearing all filters …');
+    const before = await this.getResultCount();
+
+    if (await this.clearAllBtn.isVisible().catch(() => false)) {
+      const previousUrl = this.page.url();
+      await this.clearAllBtn.click();
+      await this.waitForResultsRefresh(previousUrl);
+    } else {
+      for (const { label } of await this.getActiveFilters()) {
+        await this.removeFilter(label, { expectIncrease: false });
+      }
+    }
+
+    const remaining = await this.getActiveFilters();
+    expect(remaining, 'filters still active after clearing').toEqual([]);
+
+    const after = await this.getResultCount();
+    expect(after).toBeGreaterThanOrEqual(before);
+    console.log(`[SearchResultsPage] ✔ All filters cleared: ${before} → ${after} results`);
+    return { before, after };
+  }
+
+  /**
+   * Total result count from the header, or the rendered card count when the
+   * header is missing.
+   * @returns {Promise<number>}
+   */
+  async getResultCount() {
+    const total = await this.getTotalResultCount();
+    return total !== null ? total : this.countProducts();
+  }
+
+  // ── Brand Verification ────────────────────────────────────────────────────
+
+  /**
+   * Assert every product card belongs to one of the selected brands.
+   *
+   * Cards whose title names a selected brand pass straight away. For the rest
+   * the product page is opened in a background tab and its "Brand:" field is
+   * checked. Every offender is collected before the assertion fails, so one
+   * run reports the whole leak.
+   *
+   * @param {string|string[]} [brands] - Defaults to the brands in the current URL
+   * @param {{ allPages?: boolean, maxPages?: number, checkPdp?: boolean }} [options]
+   * @returns {Promise<{ checked: number, verifiedByPdp: number,
+   *                     offenders: { title: string, url: string, pdpBrand: string|null }[] }>}
+   */
+  async assertAllProductsMatchBrand(brands, { allPages = false, maxPages = 5, checkPdp = true } = {}) {
+    const selected = [].concat(brands || this.getQuery().brands);
+    if (selected.length === 0) throw new Error('No brand given and none selected in the URL');
+    console.log(`[SearchResultsPage] Verifying every result belongs to: ${selected.join(', ')}`);
+
+    const products = allPages ? await this.collectAllProducts({ maxPages }) : await this.getProducts();
+    const ambiguous = products.filter((p) => !selected.some((b) => mentionsBrand(p.title, b)));
+    const offenders = [];
+    let verifiedByPdp = 0;
+
+    for (const product of ambiguous) {
+      let pdpBrand = null;
+      if (checkPdp && product.url) {
+        pdpBrand = await this.readBrandFromProductPage(product.url);
+        if (pdpBrand && selected.some((b) => mentionsBrand(pdpBrand, b))) {
+          verifiedByPdp++;
+          continue;
+        }
+      }
+      offenders.push({ title: product.title, url: product.url, pdpBrand });
+    }
+
+    offenders.forEach((o) => console.warn(
+      `[SearchResultsPage] ✘ Brand leak: "${o.title}" (PDP brand: ${o.pdpBrand ?? 'n/a'}) — ${o.url}`
+    ));
+    const report = offenders.map((o) => `${o.title} [${o.pdpBrand ?? 'brand unknown'}] ${o.url}`).join('\n');
+
+    expect(products.length).toBeGreaterThan(0);
+    expect(offenders, `Products not from ${selected.join('/')}:\n${report}`).toEqual([]);
+    console.log(
+      `[SearchResultsPage] ✔ All ${products.length} products match ${selected.join('/')} ` +
+      `(${verifiedByPdp} confirmed on the product page)`
+    );
+    return { checked: products.length, verifiedByPdp, offenders };
+  }
+
+  /**
+   * Open a product URL in a background tab and read its brand field.
+   * @param {string} url
+   * @returns {Promise<string|null>}
+   */
+  async readBrandFromProductPage(url) {
+    const tab = await this.page.context().newPage();
+    try {
+      await tab.goto(url, { waitUntil: 'domcontentloaded', timeout: 30_000 });
+      return await new ProductDetailPage(tab).getProductBrand();
+    } catch {
+      return null;
+    } finally {
+      await tab.close();
+    }
+  }
+
+  // ── Sorting ───────────────────────────────────────────────────────────────
+
+  /**
+   * Change the sort order. Uses the "Sort By" dropdown when present and falls
+   * back to the `sort` URL parameter.
+   * @param {'best-match'|'price-asc'|'price-desc'|'top-rated'|'newest'} sort
+   */
+  async sortBy(sort) {
+    const option = SORT_OPTIONS[sort];
+    if (!option) {
+      throw new Error(`Unknown sort "${sort}" — expected one of: ${Object.keys(SORT_OPTIONS).join(', ')}`);
+    }
+    console.log(`[SearchResultsPage] Sorting by: ${option.label}`);
+
+    const previousUrl = this.page.url();
+    if (this.getQuery().sort === sort) {
+      console.log(`[SearchResultsPage] Already sorted by ${option.label}`);
+      return;
+    }
+
+    await dismissPopups(this.page);
+
+    try {
+      if (await this.sortSelect.isVisible().catch(() => false)) {
+        await this.sortSelect.selectOption({ label: option.label }, { timeout: 5_000 });
+      } else {
+        await this.sortDropdown.click({ timeout: 5_000 });
+        await this.sortOptions.filter({ hasText: new RegExp(`^\\s*${escapeRegExp(option.label)}\\s*$`, 'i') })
+          .first().click({ timeout: 5_000 });
+      }
+      await this.waitForResultsRefresh(previousUrl);
+      console.log(`[SearchResultsPage] ✔ Sorted via dropdown: ${option.label}`);
+    } catch {
+      console.warn('[SearchResultsPage] Sort dropdown not usable — using URL params');
+      const url = await this.gotoQuery({ ...this.getQuery(), sort, page: 1 }, { keepPath: true });
+      console.log(`[SearchResultsPage] ✔ Sorted via URL: ${url}`);
+    }
+
+    await dismissPopups(this.page);
+  }
+
+  /**
+   * Assert the rendered cards really are in the given sort order.
+   * Sponsored cards are ignored; up to `tolerance` other cards may be out of
+   * place (pinned / boosted listings) before the assertion fails.
+   *
+   * @param {'price-asc'|'price-desc'|'top-rated'} sort
+   * @param {{ tolerance?: number }} [options]
+   * @returns {Promise<{ checked: number, outOfOrder: ProductCard[] }>}
+   */
+  async assertSortedBy(sort, { tolerance = 1 } = {}) {
+    const spec = SORT_FIELDS[sort];
+    if (!spec) {
+      throw new Error(`Sort "${sort}" cannot be verified from card data — use one of: ${Object.keys(SORT_FIELDS).join(', ')}`);
+    }
+
+    const products = (await this.getProducts())
+      .filter((p) => !p.sponsored && p[spec.field] !== null);
+    const values = products.map((p) => p[spec.field]);
+    const outOfOrder = findOutOfOrder(values, spec.direction).map((i) => products[i]);
+
+    console.log(
+      `[SearchResultsPage] Checking ${products.length} cards are sorted by ${spec.field} ${spec.direction} ` +
+      `(${outOfOrder.length} out of order, tolerance ${tolerance})`
+    );
+    outOfOrder.forEach((p) => console.warn(`[SearchResultsPage] ⚠ Out of order: ${p[spec.field]} — ${p.title}`));
+
+    expect(products.length).toBeGreaterThan(0);
+    expect(outOfOrder.length).toBeLessThanOrEqual(tolerance);
+    console.log(`[SearchResultsPage] ✔ Results are sorted by ${sort}`);
+    return { checked: products.length, outOfOrder };
+  }
+
+  // ── Search Outcome ────────────────────────────────────────────────────────
+
+  /**
+   * Classify what a search landed on:
+   *   - `redirected` — the keyword led to a category listing instead of /catalog/
+   *   - `corrected`  — a "Did you mean" / "Showing results for" banner replaced the term
+   *   - `empty`      — the no-results state, or no product cards at all
+   *   - `results`    — ordinary results for the term as typed
+   *
+   * @param {string} term - The keyword that was searched
+   * @returns {Promise<{ type: 'results'|'empty'|'corrected'|'redirected', term: string,
+   *                     correctedTerm: string|null, url: string, count: number }>}
+   */
+  async getSearchOutcome(term) {
+    await this.page.waitForLoadState('domcontentloaded').catch(() => {});
+    await Promise.race([
+      this.productCards.first().waitFor({ state: 'visible', timeout: 15_000 }),
+      this.noResultsBlock.waitFor({ state: 'visible', timeout: 15_000 }),
+    ]).catch(() => {});
+
+    const url = this.page.url();
+    const query = this.getQuery();
+    const count = await this.productCards.count();
+    const outcome = { type: 'results', term, correctedTerm: null, url, count };
+
+    if (!new URL(url).pathname.startsWith(CatalogQuery.CATALOG_PATH) && !query.q) {
+      outcome.type = 'redirected';
+    } else if (await this.spellingBanner.isVisible().catch(() => false)) {
+      outcome.type = 'corrected';
+      outcome.correctedTerm = await this.readCorrectedTerm();
+    } else if (count === 0 || (await this.noResultsBlock.isVisible().catch(() => false))) {
+      outcome.type = 'empty';
+    }
+
+    console.log(
+      `[SearchResultsPage] Search outcome for "${term.length > 40 ? `${term.slice(0, 40)}…` : term}": ` +
+      `${outcome.type}${outcome.correctedTerm ? ` → "${outcome.correctedTerm}"` : ''} (${count} cards)`
+    );
+    return outcome;
+  }
+
+  /**
+   * Corrected keyword from the spelling banner — its link text, else the
+   * first quoted term, else whatever the search box now holds.
+   * @returns {Promise<string|null>}
+   */
+  async readCorrectedTerm() {
+    const link = this.spellingBanner.locator('a').first();
+    const linkText = await link.textContent({ timeout: 2_000 }).catch(() => null);
+    if (linkText && linkText.trim()) return linkText.trim();
+
+    const text = (await this.spellingBanner.textContent().catch(() => '')) || '';
+    const quoted = text.match(/["“]([^"”]+)["”]/);
+    if (quoted) return quoted[1].trim();
+
+    return this.getQuery().q || null;
+  }
+
+  // ── Category Breadcrumb ───────────────────────────────────────────────────
+
+  /**
+   * Breadcrumb trail of a category listing, including the leading "Home".
+   * Search result pages have none and return `[]`.
+   * @returns {Promise<string[]>}
+   */
+  async getBreadcrumb() {
+    await this.breadcrumbItems.first().waitFor({ state: 'visible', timeout: 10_000 }).catch(() => {});
+    const trail = (await this.breadcrumbItems.allTextContents())
+      .map((text) => text.replace(/\s+/g, ' ').trim())
+      .filter(Boolean);
+    console.log(`[SearchResultsPage] Breadcrumb: ${trail.join(' / ') || '(none)'}`);
+    return trail;
+  }
+
+  /**
+   * Assert the breadcrumb ends with `path` (case-insensitive), e.g. the
+   * category names clicked through in the mega-menu.
+   * @param {string[]} path
+   */
+  async assertBreadcrumb(path) {
+    const trail = await this.getBreadcrumb();
+    const tail = trail.slice(-path.length).map((name) => name.toLowerCase());
+    expect(tail, `Breadcrumb "${trail.join(' / ')}" does not end with "${path.join(' / ')}"`)
+      .toEqual(path.map((name) => name.toLowerCase()));
+    console.log(`[SearchResultsPage] ✔ Breadcrumb matches ${path.join(' / ')}`);
+  }
+
+  // ── Pagination ────────────────────────────────────────────────────────────
+
+  /**
+   * Read the total result count from the "N items found" header.
+   * @returns {Promise<number|null>}
+   */
+  async getTotalResultCount() {
+    try {
+      const text = await this.totalItemsText.textContent({ timeout: 8_000 });
+      const match = text.replace(/,/g, '').match(/(\d+)\s+items?\s+found/i);
+      const total = match ? parseInt(match[1], 10) : null;
+      console.log(`[SearchResultsPage] Total results: ${total}`);
+      return total;
+    } catch {
+      console.warn('[SearchResultsPage] ⚠ "items found" header not found');
+      return null;
+    }
+  }
+
+  /**
+   * Current page number, from the active pager item or the `page` URL param.
+   * @returns {Promise<number>}
+   */
+  async getCurrentPage() {
+    const active = this.page.locator('.ant-pagination-item-active, [class*="pagination-item-active"]').first();
+    const text = await active.textContent({ timeout: 2_000 }).catch(() => null);
+    const fromPager = parseInt(text, 10);
+    if (Number.isInteger(fromPager)) return fromPager;
+    return this.getQuery().page;
+  }
+
+  /**
+   * Jump to result page `n` via the pager, falling back to the `page` URL param.
+   * @param {number} n - 1-based page number
+   */
+  async goToPage(n) {
+    console.log(`[SearchResultsPage] Going to results page ${n}`);
+    if ((await this.getCurrentPage()) === n) return;
+
+    const previousUrl = this.page.url();
+    const item = this.pageItems.filter({ hasText: new RegExp(`^\\s*${n}\\s*$`) }).first();
+
+    if (await item.isVisible().catch(() => false)) {
+      await item.click();
+      await this.waitForResultsRefresh(previousUrl);
+    } else {
+      const url = await this.gotoQuery({ ...this.getQuery(), page: n }, { keepPath: true });
+      console.log(`[SearchResultsPage] Page ${n} not in pager — used URL: ${url}`);
+    }
+
+    await dismissPopups(this.page);
+    console.log(`[SearchResultsPage] ✔ On results page ${await this.getCurrentPage()}`);
+  }
+
+  /**
+   * Advance to the next result page.
+   * @returns {Promise<boolean>} false when already on the last page
+   */
+  async nextPage() {
+    const visible = await this.nextPageBtn.isVisible().catch(() => false);
+    const disabled = visible && await this.nextPageBtn.evaluate((el) =>
+      el.getAttribute('aria-disabled') === 'true' || /disabled/.test(el.className));
+
+    if (!visible || disabled) {
+      console.log('[SearchResultsPage] No next page — last page reached');
+      return false;
+    }
+
+    const previousUrl = this.page.url();
+    await this.nextPageBtn.click();
+    await this.waitForResultsRefresh(previousUrl);
+    await dismissPopups(this.page);
+    console.log(`[SearchResultsPage] ✔ Advanced to page ${await this.getCurrentPage()}`);
+    return true;
+  }
+
+  /**
+   * Extract cards from the current page onwards, following the pager until
+   * the last page or `maxPages` pages have been read. Duplicate listings
+   * (same URL on two pages) are kept once.
+   * @param {{ maxPages?: number }} [options]
+   * @returns {Promise<ProductCard[]>}
+   */
+  async collectAllProducts({ maxPages = 5 } = {}) {
+    const seen = new Map();
+    let pagesRead = 0;
+
+    do {
+      for (const product of await this.getProducts()) {
+        if (!seen.has(product.url)) seen.set(product.url, product);
+      }
+      pagesRead++;
+    } while (pagesRead < maxPages && (await this.nextPage()));
+
+    console.log(`[SearchResultsPage] Collected ${seen.size} products from ${pagesRead} page(s)`);
+    return [...seen.values()];
+  }
+
+  // ── Catalog URL ───────────────────────────────────────────────────────────
+
+  /**
+   * Parse the current URL into a CatalogQuery object.
+   * @returns {import('../utils/CatalogQuery').CatalogQueryShape}
+   */
+  getQuery() {
+    return CatalogQuery.parse(this.page.url());
+  }
+
+  /**
+   * Navigate straight to a filtered / sorted / paged catalog state.
+   * @param {object} query - CatalogQuery shape, e.g. { q: 'electronics', brands: ['Samsung'] }
+   * @param {object}  [options]
+   * @param {boolean} [options.keepPath=false]  Stay on the current listing's path (a
+   *                  category such as "/smartphones/") instead of going to /catalog/
+   * @returns {Promise<string>} The URL navigated to
+   */
+  async gotoQuery(query, { keepPath = false } = {}) {
+    const current = /^https?:/.test(this.page.url()) ? new URL(this.page.url()) : null;
+    const origin = current ? current.origin : BASE_URL;
+    const path = keepPath && current ? current.pathname : CatalogQuery.CATALOG_PATH;
+    const url = CatalogQuery.build(query, origin, path);
+
+    console.log(`[SearchResultsPage] Navigating to catalog query: ${url}`);
+    await this.page.goto(url, { waitUntil: 'domcontentloaded', timeout: 30_000 });
+    await this.productCards.first().waitFor({ state: 'visible', timeout: 15_000 }).catch(() => {});
+    return url;
+  }
+
+  /**
+   * Assert that the current URL encodes the given filters. Only the keys passed
+   * are compared; labels and slugs are both accepted ("Samsung" ≡ "samsung").
+   * Accepts the `applied` half of an applyFilters() summary directly.
+   * @param {object} expected - Partial CatalogQuery shape
+   */
+  async assertUrlReflects(expected) {
+    const actual = this.getQuery();
+    const wanted = CatalogQuery.normalize(expected);
+    const sorted = (value) => (Array.isArray(value) ? [...value].sort() : value);
+
+    for (const key of Object.keys(expected)) {
+      console.log(`[SearchResultsPage] URL ${key}: ${JSON.stringify(actual[key])} (expected ${JSON.stringify(wanted[key])})`);
+      expect(sorted(actual[key]), `URL parameter for "${key}"`).toEqual(sorted(wanted[key]));
+    }
+    console.log('[SearchResultsPage] ✔ URL reflects the applied filters');
+  }
+
   // ── Product Count ─────────────────────────────────────────────────────────
 
   /**
@@ -153,8 +960,7 @@ class SearchResultsPage {
 
     for (let i = 0; i < checkCount; i++) {
       const text = await this.productPrices.nth(i).textContent().catch(() => '');
-      const price = parsePrice(text);
-      if (price !== null) prices.push(price);
+      if (text.trim()) prices.push(parseMoney(text).amount);
     }
 
     if (prices.length === 0) {
@@ -167,25 +973,121 @@ class SearchResultsPage {
     console.log(`[SearchResultsPage] ✔ All sampled prices are within range`);
   }
 
+  // ── Product Extraction ────────────────────────────────────────────────────
+
+  /**
+   * Extract a structured record for every rendered product card.
+   * @returns {Promise<ProductCard[]>}
+   */
+  async getProducts() {
+    await this.productCards.first().waitFor({ state: 'visible', timeout: 15_000 }).catch(() => {});
+
+    // Layout selectors can match both a card and its wrapper — keep the outermost
+    const products = (await this.scrapeCards()).filter((raw) => !raw.nested).map(toProductCard);
+    console.log(`[SearchResultsPage] Extracted ${products.length} product records`);
+    return products;
+  }
+
+  /**
+   * Structured record of the Nth product card (0-indexed, same numbering as
+   * openProduct()).
+   * @param {number} index
+   * @returns {Promise<ProductCard|null>} null when there is no such card
+   */
+  async getCard(index) {
+    const raw = (await this.scrapeCards())[index];
+    return raw ? toProductCard(raw) : null;
+  }
+
+  /**
+   * Raw strings from every element `productCards` matches, in locator order.
+   * `nested` marks elements inside another match (a card inside its wrapper).
+   * @returns {Promise<object[]>}
+   */
+  async scrapeCards() {
+    return this.productCards.evaluateAll((cards, fields) => cards.map((card) => {
+      const text = (selector) => card.querySelector(selector)?.textContent.replace(/\s+/g, ' ').trim() || '';
+      const ratingEl = card.querySelector(fields.rating);
+      const link = card.matches('a[href]') ? card : card.querySelector('a[href]');
+
+      return {
+        title: card.querySelector(fields.title)?.getAttribute('title') || text(fields.title),
+        price: text(fields.price),
+        originalPrice: text(fields.originalPrice),
+        discount: text(fields.discount),
+        rating: ratingEl?.getAttribute('data-rating') || ratingEl?.getAttribute('aria-label') || '',
+        filledStars: ratingEl ? ratingEl.querySelectorAll('[class*="star-icon"]:not([class*="empty"])').length : 0,
+        reviews: text(fields.reviews),
+        location: text(fields.location),
+        badges: [...card.querySelectorAll(fields.badges)].map((b) => b.getAttribute('alt') || b.textContent),
+        url: link ? link.href : '',
+        itemId: card.getAttribute('data-item-id'),
+        nested: cards.some((other) => other !== card && other.contains(card)),
+      };
+    }), CARD_FIELDS);
+  }
+
   // ── Open Product ──────────────────────────────────────────────────────────
 
   /**
-   * Click the Nth product (0-indexed) and return the new ProductDetailPage URL.
+   * Click the Nth product (0-indexed) and return the page it opened in — a
+   * new tab, or this page when the site navigates in place. A
+   * ProductDetailPage built on that page knows the card it came from
+   * (`listing`).
+   *
+   * With `skipUnavailable`, each opened product is checked with
+   * ProductDetailPage.getAvailability(); sold-out and delisted ones are closed
+   * (or navigated back from) and the next card is tried.
+   *
    * @param {number} [index=0]
-   * @returns {Promise<string>} URL of the opened product page
+   * @param {object}  [options]
+   * @param {boolean} [options.skipUnavailable=false]
+   * @param {number}  [options.maxAttempts=5]  Products to try before giving up
+   * @returns {Promise<import('@playwright/test').Page>}
    */
-  async openProduct(index = 0) {
-    console.log(`[SearchResultsPage] Opening product at index ${index}`);
+  async openProduct(index = 0, { skipUnavailable = false, maxAttempts = 5 } = {}) {
+    console.log(`[SearchResultsPage] Opening product at index ${index}${skipUnavailable ? ' (skipping unavailable)' : ''}`);
     await this.productCards.first().waitFor({ state: 'visible', timeout: 15_000 });
 
-    const cards = this.productCards;
-    const count = await cards.count();
+    const count = await this.productCards.count();
     if (count === 0) throw new Error('No products found to open');
 
-    const safeIndex = Math.min(index, count - 1);
-    const card = cards.nth(safeIndex);
+    const first = Math.min(index, count - 1);
+    if (!skipUnavailable) return this.openCard(first);
+
+    const skipped = [];
+    for (let i = first; i < count && skipped.length < maxAttempts; i++) {
+      const productPage = await this.openCard(i);
+      const detailPage = new ProductDetailPage(productPage);
+      await detailPage.waitForPageLoad();
+      const { status, available } = await detailPage.getAvailability();
+      if (available) {
+        if (skipped.length) console.log(`[SearchResultsPage] ✔ Opened product ${i} after skipping ${skipped.join(', ')}`);
+        return productPage;
+      }
+
+      skipped.push(`${i} (${status})`);
+      if (productPage !== this.page) {
+        await productPage.close();
+      } else {
+        await this.page.goBack({ waitUntil: 'domcontentloaded', timeout: 30_000 });
+        await this.productCards.first().waitFor({ state: 'visible', timeout: 15_000 });
+      }
+    }
+    throw new Error(`No available product from index ${first} — skipped: ${skipped.join(', ')}`);
+  }
+
+  /**
+   * Click one product card and wait for the product page to load. The card's
+   * record is read first and handed to ProductDetailPage for the page opened,
+   * so assertMatchesListing() can compare the two.
+   * @param {number} index
+   * @returns {Promise<import('@playwright/test').Page>}
+   */
+  async openCard(index) {
+    const card = this.productCards.nth(index);
+    const listing = await this.getCard(index).catch(() => null);
 
-    // Open in the same tab — collect the new URL
     const [newPage] = await Promise.all([
       this.page.context().waitForEvent('page').catch(() => null),
       card.click({ timeout: 10_000 }),
@@ -195,12 +1097,14 @@ class SearchResultsPage {
       // Product opened in a new tab
       await newPage.waitForLoadState('domcontentloaded', { timeout: 30_000 });
       console.log(`[SearchResultsPage] Product opened in new tab: ${newPage.url()}`);
+      ProductDetailPage.rememberListing(newPage, listing);
       return newPage;
     }
 
     // Navigated in same tab
     await this.page.waitForLoadState('domcontentloaded', { timeout: 30_000 });
     console.log(`[SearchResultsPage] Product opened in same tab: ${this.page.url()}`);
+    ProductDetailPage.rememberListing(this.page, listing);
     return this.page;
   }
 
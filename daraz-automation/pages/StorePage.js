@@ -0,0 +1,138 @@
+// pages/StorePage.js
+// ─────────────────────────────────────────────────────────────────────────────
+// Page Object for a Daraz.pk seller storefront (reached via "Visit Store")
+// Responsibilities:
+//   - Read the store name and its LazMall / official badge
+//   - List the store's products
+//   - Search within the store
+// ─────────────────────────────────────────────────────────────────────────────
+
+const { expect } = require('@playwright/test');
+const { dismissPopups, parseMoney } = require('../utils/helpers');
+
+/**
+ * @typedef {object} StoreProduct
+ * @property {string}      title
+ * @property {number|null} price   - PKR
+ * @property {string}      url     - Absolute product detail URL
+ * @property {string|null} itemId
+ */
+
+class StorePage {
+  /**
+   * @param {import('@playwright/test').Page} page
+   */
+  constructor(page) {
+    this.page = page;
+
+    // ── Store header ──────────────────────────────────────────────────────
+    this.storeName        = page.locator('.shop-name, [class*="shop-name"], [class*="store-name"]').first();
+    this.storeBadges      = page.locator('.shop-header .seller-badge, [class*="shop-header"] [class*="badge"]');
+
+    // ── Search in store ───────────────────────────────────────────────────
+    // Scoped to the store header — the site header has its own search box
+    this.searchInput      = page.locator('.shop-search input, input[placeholder*="Search in Store" i]').first();
+
+    // ── Products ──────────────────────────────────────────────────────────
+    this.productCards     = page.locator(
+      '.shop-product-list [data-qa-locator="product-item"], .shop-product-list .product-card, [class*="shop-product"] [class*="card"]'
+    );
+    this.emptyState       = page.locator('.shop-empty, [class*="shop-empty"]')
+      .or(page.getByText(/no products found/i)).first();
+  }
+
+  // ── Wait / Setup ──────────────────────────────────────────────────────────
+
+  /**
+   * Wait until the store header and either products or the empty state show.
+   */
+  async waitForStore() {
+    await this.page.waitForLoadState('domcontentloaded', { timeout: 30_000 });
+    await dismissPopups(this.page, 1000);
+    await this.storeName.waitFor({ state: 'visible', timeout: 15_000 });
+    await Promise.race([
+      this.productCards.first().waitFor({ state: 'visible', timeout: 15_000 }),
+      this.emptyState.waitFor({ state: 'visible', timeout: 15_000 }),
+    ]).catch(() => {});
+    console.log(`[StorePage] Store loaded: ${this.page.url()}`);
+  }
+
+  // ── Store Header ──────────────────────────────────────────────────────────
+
+  /**
+   * Store name from the header.
+   * @returns {Promise<string>}
+   */
+  async getStoreName() {
+    return (await this.storeName.textContent({ timeout: 10_000 })).replace(/\s+/g, ' ').trim();
+  }
+
+  /**
+   * Badges next to the store name, e.g. ["LazMall"] or ["Official Store"].
+   * @returns {Promise<string[]>}
+   */
+  async getStoreBadges() {
+    return (await this.storeBadges.allTextContents()).map((t) => t.trim()).filter(Boolean);
+  }
+
+  // ── Products ──────────────────────────────────────────────────────────────
+
+  /**
+   * Products listed in the store grid.
+   * @returns {Promise<StoreProduct[]>}
+   */
+  async getProducts() {
+    const raw = await this.productCards.evaluateAll((cards) => cards.map((card) => {
+      const text = (sel) => card.querySelector(sel)?.textContent.replace(/\s+/g, ' ').trim() || '';
+      const link = card.matches('a[href]') ? card : card.querySelector('a[href]');
+      return {
+        title: text('.title, [class*="title"]'),
+        price: text('.product-price, [data-qa-locator="product-price"], [class*="price"]'),
+        url: link ? link.href : '',
+        itemId: card.getAttribute('data-item-id'),
+      };
+    }));
+
+    const products = raw.map((card) => ({
+      ...card,
+      price: card.price ? parseMoney(card.price).amount : null,
+      itemId: card.itemId || (card.url.match(/-i(\d+)/) || [])[1] || null,
+    }));
+    console.log(`[StorePage] ${products.length} product(s) listed`);
+    return products;
+  }
+
+  /**
+   * Search within the store and return the matching products.
+   * @param {string} term
+   * @returns {Promise<StoreProduct[]>}
+   */
+  async searchInStore(term) {
+    console.log(`[StorePage] Searching store for "${term}"`);
+    await this.searchInput.fill(term);
+    await Promise.all([
+      this.page.waitForURL((url) => url.searchParams.get('q') === term, { timeout: 20_000 }).catch(() => {}),
+      this.searchInput.press('Enter'),
+    ]);
+    await this.waitForStore();
+    return this.getProducts();
+  }
+
+  // ── Assertions ────────────────────────────────────────────────────────────
+
+  /**
+   * Assert every listed product title contains each word of `term`.
+   * @param {string} term
+   */
+  async assertProductsMatch(term) {
+    const words = term.toLowerCase().split(/\s+/).filter(Boolean);
+    const products = await this.getProducts();
+    expect(products.length, `Store has no products for "${term}"`).toBeGreaterThan(0);
+
+    const misses = products.filter((p) => !words.every((w) => p.title.toLowerCase().includes(w)));
+    expect(misses.map((p) => p.title), `Store results not matching "${term}"`).toEqual([]);
+    console.log(`[StorePage] ✔ ${products.length} product(s) match "${term}"`);
+  }
+}
+
+module.exports = StorePage;
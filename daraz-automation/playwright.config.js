@@ -1,5 +1,6 @@
 // playwright.config.js
 const { defineConfig, devices } = require('@playwright/test');
+const { SITE, BASE_URL, LOCAL_PORT } = require('./config/constants');
 
 module.exports = defineConfig({
   // Directory containing test files
@@ -27,8 +28,8 @@ module.exports = defineConfig({
 
   // Global settings for all tests
   use: {
-    // Base URL for navigation
-    baseURL: 'https://www.daraz.pk',
+    // Base URL for navigation — switch with DARAZ_SITE=live|local
+    baseURL: BASE_URL,
 
     // Browser viewport
     viewport: { width: 1366, height: 768 },
@@ -55,6 +56,15 @@ module.exports = defineConfig({
     navigationTimeout: 30000,
   },
 
+  // Offline storefront — only started when DARAZ_SITE=local
+  webServer: SITE === 'local' ? {
+    command: 'node mock-site/server.js',
+    url: BASE_URL,
+    env: { MOCK_SITE_PORT: String(LOCAL_PORT) },
+    reuseExistingServer: !process.env.CI,
+    timeout: 30000,
+  } : undefined,
+
   // Projects define which browsers to test in
   projects: [
     {
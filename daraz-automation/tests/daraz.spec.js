@@ -11,21 +11,50 @@
 //  Task 6  – Count products & validate > 0
 //  Task 7  – Open product detail page
 //  Task 8  – Verify free shipping availability
+//
+// Tests tagged @har can run from a recorded network archive (HAR_MODE=replay),
+// see utils/har.js.
 // ─────────────────────────────────────────────────────────────────────────────
 
-const { test, expect } = require('@playwright/test');
+const { test: base, expect } = require('@playwright/test');
+const { harFixtures } = require('../utils/har');
+
+const { assertPricesInRange, escapeRegExp, parseMoney } = require('../utils/helpers');
+const CatalogQuery = require('../utils/CatalogQuery');
 
 const HomePage            = require('../pages/HomePage');
 const SearchResultsPage   = require('../pages/SearchResultsPage');
 const ProductDetailPage   = require('../pages/ProductDetailPage');
+const CartPage            = require('../pages/CartPage');
 
 const {
   SEARCH_TERM,
   PRICE_MIN,
   PRICE_MAX,
+  TARGET_BRANDS,
   MIN_PRODUCT_COUNT,
+  DELIVERY_LOCATIONS,
+  BASE_URL,
 } = require('../config/constants');
 
+const test = base.extend({
+  ...harFixtures,
+
+  // openFromSearch(term, index, { skipUnavailable }): search from the home page,
+  // open result `index` and return its ProductDetailPage once loaded
+  openFromSearch: async ({ page }, use) => {
+    await use(async (term, index = 0, { skipUnavailable = false } = {}) => {
+      const homePage = new HomePage(page);
+      await homePage.goto();
+      await homePage.searchFor(term);
+      const productPage = await new SearchResultsPage(page).openProduct(index, { skipUnavailable });
+      const detailPage = new ProductDetailPage(productPage);
+      await detailPage.waitForPageLoad();
+      return detailPage;
+    });
+  },
+});
+
 // ── Full End-to-End Flow ──────────────────────────────────────────────────────
 
 test.describe('Daraz.pk – Full Automation Flow (Tasks 1–8)', () => {
@@ -47,7 +76,8 @@ test.describe('Daraz.pk – Full Automation Flow (Tasks 1–8)', () => {
 
   // ── Combined Flow (Tasks 2–8) ─────────────────────────────────────────────
 
-  test('Tasks 2–8 – Full end-to-end shopping flow on Daraz.pk', async ({ page, context }) => {
+  test('Tasks 2–8 – Full end-to-end shopping flow on Daraz.pk @har', async ({ page, context, har }) => {
+    console.log(`Network mode: ${har.mode}${har.file ? ` (${har.file})` : ''}`);
 
     // ── TASK 2: Navigate to Daraz.pk ─────────────────────────────────────
     test.step('Task 2 – Navigate to Daraz.pk', async () => {});
@@ -77,7 +107,7 @@ test.describe('Daraz.pk – Full Automation Flow (Tasks 1–8)', () => {
 
     // ── TASK 7: Open product details page ─────────────────────────────────
     test.step('Task 7 – Open product detail page', async () => {});
-    const productPage = await resultsPage.openProduct(0);
+    const productPage = await resultsPage.openProduct(0, { skipUnavailable: true });
     const detailPage = new ProductDetailPage(productPage);
     await detailPage.waitForPageLoad();
     await detailPage.verifyOnProductPage();
@@ -87,12 +117,13 @@ test.describe('Daraz.pk – Full Automation Flow (Tasks 1–8)', () => {
 
     // ── TASK 8: Verify free shipping ──────────────────────────────────────
     test.step('Task 8 – Verify free shipping availability', async () => {});
-    // Using softCheckFreeShipping because not every product has free shipping.
-    // Replace with assertFreeShippingAvailable() if the test product guarantees it.
+    // Every delivery option must parse to a type, fee and ETA; free shipping is
+    // then a fact about those options. Not every product ships free, so the
+    // outcome itself is logged rather than asserted.
+    const deliveryOptions = await detailPage.assertDeliveryOptionsValid();
     const hasFreeShipping = await detailPage.softCheckFreeShipping();
     console.log(`Task 8 ✔ Free shipping available: ${hasFreeShipping}`);
-    // Log result — assertion is informational rather than blocking
-    expect(typeof hasFreeShipping).toBe('boolean');
+    expect(hasFreeShipping).toBe(deliveryOptions.some((o) => o.isFree));
   });
 });
 
@@ -156,7 +187,7 @@ test.describe('Daraz.pk – Individual Task Tests', () => {
     await homePage.searchFor(SEARCH_TERM);
 
     const resultsPage = new SearchResultsPage(page);
-    const productPage = await resultsPage.openProduct(0);
+    const productPage = await resultsPage.openProduct(0, { skipUnavailable: true });
 
     const detailPage = new ProductDetailPage(productPage);
     await detailPage.waitForPageLoad();
@@ -176,10 +207,957 @@ test.describe('Daraz.pk – Individual Task Tests', () => {
     const detailPage = new ProductDetailPage(productPage);
     await detailPage.waitForPageLoad();
 
+    const deliveryOptions = await detailPage.assertDeliveryOptionsValid();
     const hasFreeShipping = await detailPage.softCheckFreeShipping();
     // Record result; free shipping is product-dependent so we log rather than hard-fail
     console.log(`Free shipping status: ${hasFreeShipping ? 'Available ✔' : 'Not available ℹ'}`);
-    expect(typeof hasFreeShipping).toBe('boolean');
+    expect(hasFreeShipping).toBe(deliveryOptions.some((o) => o.isFree));
+    for (const option of deliveryOptions) {
+      console.log(`  ${option.type}: fee ${option.fee} (${option.evidence.fee}), ETA ${option.etaFrom}–${option.etaTo} days, COD ${option.codAvailable}`);
+    }
+  });
+});
+
+// ── Search Results Data Extraction ───────────────────────────────────────────
+
+test.describe('Daraz.pk – Search Results Data', () => {
+
+  test('getProducts() returns a structured record for every card', async ({ page }) => {
+    const homePage = new HomePage(page);
+    await homePage.goto();
+    await homePage.searchFor(SEARCH_TERM);
+
+    const resultsPage = new SearchResultsPage(page);
+    const products = await resultsPage.getProducts();
+    const count = await resultsPage.countProducts();
+
+    expect(products.length).toBeGreaterThan(0);
+    expect(products.length).toBeLessThanOrEqual(count);
+
+    for (const product of products) {
+      expect(product.title.length).toBeGreaterThan(0);
+      expect(product.price).toBeGreaterThan(0);
+      expect(product.url).toMatch(/\/products\/|\/i\//i);
+      expect(Array.isArray(product.badges)).toBe(true);
+      if (product.originalPrice !== null) {
+        expect(product.originalPrice).toBeGreaterThan(product.price);
+      }
+      if (product.rating !== null) {
+        expect(product.rating).toBeGreaterThanOrEqual(0);
+        expect(product.rating).toBeLessThanOrEqual(5);
+      }
+    }
+    console.log(`✔ ${products.length} product records extracted, e.g. ${JSON.stringify(products[0])}`);
+  });
+});
+
+// ── Multi-Facet Filters ───────────────────────────────────────────────────────
+
+test.describe('Daraz.pk – Multi-Facet Filters', () => {
+
+  test('applyFilters() applies each facet and reports unavailable ones', async ({ page }) => {
+    const homePage = new HomePage(page);
+    await homePage.goto();
+    await homePage.searchFor(SEARCH_TERM);
+
+    const resultsPage = new SearchResultsPage(page);
+    const summary = await resultsPage.applyFilters({
+      brands: TARGET_BRANDS.slice(0, 2),
+      service: ['Free Shipping'],
+      location: 'Atlantis',                       // never offered — must be reported
+      price: { min: PRICE_MIN, max: PRICE_MAX },
+    });
+
+    expect(summary.unavailable.location).toEqual(['Atlantis']);
+    expect(summary.applied.price).toEqual({ min: PRICE_MIN, max: PRICE_MAX });
+    const requestedBrands = [...(summary.applied.brands || []), ...(summary.unavailable.brands || [])];
+    expect(requestedBrands.sort()).toEqual(TARGET_BRANDS.slice(0, 2).sort());
+
+    // Whatever survived the filters must honour the price range
+    const products = await resultsPage.getProducts();
+    for (const product of products) {
+      expect(product.price).toBeGreaterThanOrEqual(PRICE_MIN);
+      expect(product.price).toBeLessThanOrEqual(PRICE_MAX);
+    }
+    console.log(`✔ Filter summary: ${JSON.stringify(summary)} → ${products.length} products`);
+  });
+});
+
+// ── Pagination ────────────────────────────────────────────────────────────────
+
+test.describe('Daraz.pk – Pagination', () => {
+
+  test('Price filter holds across every result page', async ({ page }) => {
+    const homePage = new HomePage(page);
+    await homePage.goto();
+    await homePage.searchFor(SEARCH_TERM);
+
+    const resultsPage = new SearchResultsPage(page);
+    await resultsPage.applyPriceFilter(PRICE_MIN, PRICE_MAX);
+
+    const total = await resultsPage.getTotalResultCount();
+    const products = await resultsPage.collectAllProducts({ maxPages: 3 });
+
+    expect(products.length).toBeGreaterThan(0);
+    if (total !== null) expect(products.length).toBeLessThanOrEqual(total);
+    assertPricesInRange(products.map((p) => p.price), PRICE_MIN, PRICE_MAX);
+    console.log(`✔ ${products.length} products (of ${total}) all within PKR ${PRICE_MIN}–${PRICE_MAX}`);
+  });
+
+  test('goToPage() and nextPage() move through the pager', async ({ page }) => {
+    const homePage = new HomePage(page);
+    await homePage.goto();
+    await homePage.searchFor(SEARCH_TERM);
+
+    const resultsPage = new SearchResultsPage(page);
+    const firstPage = await resultsPage.getProducts();
+
+    await resultsPage.goToPage(2);
+    expect(await resultsPage.getCurrentPage()).toBe(2);
+    const secondPage = await resultsPage.getProducts();
+    expect(secondPage[0]?.url).not.toBe(firstPage[0]?.url);
+
+    await resultsPage.goToPage(1);
+    const advanced = await resultsPage.nextPage();
+    expect(advanced).toBe(true);
+    expect(await resultsPage.getCurrentPage()).toBe(2);
+    console.log('✔ Pager navigation works');
+  });
+});
+
+// ── Facet Discovery ───────────────────────────────────────────────────────────
+
+test.describe('Daraz.pk – Facet Discovery', () => {
+
+  test('getAvailableFacets() lists the sidebar groups with their options', async ({ page }) => {
+    const homePage = new HomePage(page);
+    await homePage.goto();
+    await homePage.searchFor(SEARCH_TERM);
+
+    const resultsPage = new SearchResultsPage(page);
+    const facets = await resultsPage.getAvailableFacets();
+    const names = facets.map((f) => f.name.toLowerCase());
+
+    for (const expected of ['brand', 'price']) {
+      expect(names).toContain(expected);
+    }
+
+    const brandFacet = facets.find((f) => /^brand$/i.test(f.name));
+    expect(brandFacet.options.length).toBeGreaterThan(0);
+    for (const option of brandFacet.options) {
+      expect(option.label.length).toBeGreaterThan(0);
+      expect(typeof option.selected).toBe('boolean');
+    }
+    console.log(`✔ Facets: ${facets.map((f) => `${f.name}(${f.options.length})`).join(', ')}`);
+  });
+
+  test('A brand picked from the discovered facets is shown as selected', async ({ page }) => {
+    const homePage = new HomePage(page);
+    await homePage.goto();
+    await homePage.searchFor(SEARCH_TERM);
+
+    const resultsPage = new SearchResultsPage(page);
+    const brandFacet = (await resultsPage.getAvailableFacets()).find((f) => /^brand$/i.test(f.name));
+    const brand = brandFacet.options[0].label;
+
+    const summary = await resultsPage.applyFilters({ brands: [brand] });
+    expect(summary.applied.brands).toEqual([brand]);
+
+    const refreshed = (await resultsPage.getAvailableFacets()).find((f) => /^brand$/i.test(f.name));
+    expect(refreshed.options.find((o) => o.label === brand)?.selected).toBe(true);
+    console.log(`✔ Brand "${brand}" discovered, applied and shown as selected`);
+  });
+});
+
+// ── Active Filters ────────────────────────────────────────────────────────────
+
+test.describe('Daraz.pk – Active Filters', () => {
+
+  test('Applied filters show as active and can be removed one by one', async ({ page }) => {
+    const homePage = new HomePage(page);
+    await homePage.goto();
+    await homePage.searchFor(SEARCH_TERM);
+
+    const resultsPage = new SearchResultsPage(page);
+    const brand = await resultsPage.applyBrandFilter();
+    test.skip(!brand, 'None of TARGET_BRANDS is offered in the sidebar');
+    await resultsPage.applyPriceFilter(PRICE_MIN, PRICE_MAX);
+
+    const active = await resultsPage.getActiveFilters();
+    expect(active.map((f) => f.label)).toContain(brand);
+
+    const { before, after } = await resultsPage.removeFilter(brand);
+    const stillActive = (await resultsPage.getActiveFilters()).map((f) => f.label);
+    expect(stillActive).not.toContain(brand);
+    console.log(`✔ Removed "${brand}": ${before} → ${after} results, still active: ${stillActive.join(', ')}`);
+  });
+
+  test('clearAllFilters() removes every active filter', async ({ page }) => {
+    const homePage = new HomePage(page);
+    await homePage.goto();
+    await homePage.searchFor(SEARCH_TERM);
+
+    const resultsPage = new SearchResultsPage(page);
+    await resultsPage.applyFilters({
+      brands: [TARGET_BRANDS[0]],
+      service: ['Free Shipping'],
+      price: { min: PRICE_MIN, max: PRICE_MAX },
+    });
+    expect((await resultsPage.getActiveFilters()).length).toBeGreaterThan(0);
+
+    const { before, after } = await resultsPage.clearAllFilters();
+    expect(after).toBeGreaterThan(before);
+    console.log(`✔ Cleared all filters: ${before} → ${after} results`);
+  });
+});
+
+// ── Brand Verification ────────────────────────────────────────────────────────
+
+test.describe('Daraz.pk – Brand Filter Verification', () => {
+
+  test('Every result after the brand filter belongs to that brand', async ({ page }) => {
+    const homePage = new HomePage(page);
+    await homePage.goto();
+    await homePage.searchFor(SEARCH_TERM);
+
+    const resultsPage = new SearchResultsPage(page);
+    const brand = await resultsPage.applyBrandFilter();
+    test.skip(!brand, 'None of TARGET_BRANDS is offered in the sidebar');
+
+    const { checked, verifiedByPdp } = await resultsPage.assertAllProductsMatchBrand(brand, { allPages: true, maxPages: 2 });
+    console.log(`✔ ${checked} products are ${brand} (${verifiedByPdp} confirmed via product page)`);
+  });
+});
+
+// ── Catalog URL Model ─────────────────────────────────────────────────────────
+
+test.describe('Daraz.pk – Catalog URL Model', () => {
+
+  test('CatalogQuery parses and builds filter URLs round-trip', async () => {
+    const query = {
+      q: 'wireless earbuds & cases',
+      brands: ['Samsung', 'Xiaomi'],
+      price: { min: PRICE_MIN, max: PRICE_MAX },
+      rating: 4,
+      location: ['Karachi'],
+      sort: 'price-asc',
+      page: 2,
+    };
+
+    const url = CatalogQuery.build(query);
+    expect(url).toContain('brand=samsung--xiaomi');
+    expect(url).toContain(`price=${PRICE_MIN}-${PRICE_MAX}`);
+
+    const parsed = CatalogQuery.parse(url);
+    expect(parsed).toMatchObject({
+      q: query.q,
+      brands: ['samsung', 'xiaomi'],
+      price: query.price,
+      rating: 4,
+      location: ['karachi'],
+      sort: 'price-asc',
+      page: 2,
+    });
+    expect(CatalogQuery.build(parsed)).toBe(url);
+    console.log(`✔ Round-trip URL: ${url}`);
+  });
+
+  test('CatalogQuery builds on a category listing path when given one', async () => {
+    const url = new URL(CatalogQuery.build({ brands: ['Samsung'], sort: 'price-asc', page: 2 }, BASE_URL, '/smartphones/'));
+    expect(url.pathname).toBe('/smartphones/');
+    expect(CatalogQuery.parse(url)).toMatchObject({ brands: ['samsung'], sort: 'price-asc', page: 2 });
+    expect(new URL(CatalogQuery.build({ q: SEARCH_TERM })).pathname).toBe(CatalogQuery.CATALOG_PATH);
+  });
+
+  test('URL reflects the filters applied through the sidebar', async ({ page }) => {
+    const homePage = new HomePage(page);
+    await homePage.goto();
+    await homePage.searchFor(SEARCH_TERM);
+
+    const resultsPage = new SearchResultsPage(page);
+    const { applied } = await resultsPage.applyFilters({
+      brands: [TARGET_BRANDS[0]],
+      price: { min: PRICE_MIN, max: PRICE_MAX },
+    });
+
+    await resultsPage.assertUrlReflects({ q: SEARCH_TERM, ...applied });
+  });
+
+  test('gotoQuery() lands directly on a filtered, sorted state', async ({ page }) => {
+    const homePage = new HomePage(page);
+    await homePage.goto();
+
+    const resultsPage = new SearchResultsPage(page);
+    const query = { q: SEARCH_TERM, price: { min: PRICE_MIN, max: PRICE_MAX }, sort: 'price-asc' };
+    await resultsPage.gotoQuery(query);
+
+    await resultsPage.assertUrlReflects(query);
+    const products = await resultsPage.getProducts();
+    assertPricesInRange(products.map((p) => p.price), PRICE_MIN, PRICE_MAX);
+    console.log(`✔ Landed on filtered state with ${products.length} products`);
+  });
+});
+
+// ── Sorting ───────────────────────────────────────────────────────────────────
+
+test.describe('Daraz.pk – Sorting', () => {
+
+  for (const sort of ['price-asc', 'price-desc']) {
+    test(`sortBy('${sort}') orders the cards by price`, async ({ page }) => {
+      const homePage = new HomePage(page);
+      await homePage.goto();
+      await homePage.searchFor(SEARCH_TERM);
+
+      const resultsPage = new SearchResultsPage(page);
+      await resultsPage.sortBy(sort);
+      const { checked, outOfOrder } = await resultsPage.assertSortedBy(sort);
+      console.log(`✔ ${checked} cards sorted ${sort}, ${outOfOrder.length} tolerated outlier(s)`);
+    });
+  }
+
+  test('sortBy() rejects an unknown sort order', async ({ page }) => {
+    const resultsPage = new SearchResultsPage(page);
+    await expect(resultsPage.sortBy('cheapest-first')).rejects.toThrow(/Unknown sort/);
+  });
+});
+
+// ── Search Outcomes (negative searches) ───────────────────────────────────────
+
+test.describe('Daraz.pk – Search Outcomes', () => {
+
+  test('Gibberish search reports the empty state', async ({ page }) => {
+    const term = 'xqzvbnmwrtpkjh';
+    const homePage = new HomePage(page);
+    await homePage.goto();
+    await homePage.searchFor(term);
+
+    const outcome = await new SearchResultsPage(page).getSearchOutcome(term);
+    expect(outcome.type).toBe('empty');
+    expect(outcome.count).toBe(0);
+  });
+
+  test('Misspelled brand is corrected or still finds results', async ({ page }) => {
+    const term = 'samsnug';
+    const homePage = new HomePage(page);
+    await homePage.goto();
+    await homePage.searchFor(term);
+
+    const outcome = await new SearchResultsPage(page).getSearchOutcome(term);
+    expect(['corrected', 'results']).toContain(outcome.type);
+    if (outcome.type === 'corrected') expect(outcome.correctedTerm).toMatch(/samsung/i);
+    expect(outcome.count).toBeGreaterThan(0);
+  });
+
+  test('Category keyword may redirect to the category listing', async ({ page }) => {
+    const term = 'smartphones';
+    const homePage = new HomePage(page);
+    await homePage.goto();
+    await homePage.searchFor(term);
+
+    const outcome = await new SearchResultsPage(page).getSearchOutcome(term);
+    expect(['redirected', 'results']).toContain(outcome.type);
+    expect(outcome.count).toBeGreaterThan(0);
+    console.log(`✔ "${term}" → ${outcome.type}: ${outcome.url}`);
+  });
+
+  for (const [label, term] of [
+    ['very long', 'wireless bluetooth headphones '.repeat(12).trim()],
+    ['special-character', '@#$%^&*()<>"\''],
+  ]) {
+    test(`A ${label} query returns a typed outcome without crashing`, async ({ page }) => {
+      const homePage = new HomePage(page);
+      await homePage.goto();
+      await homePage.searchFor(term);
+
+      const outcome = await new SearchResultsPage(page).getSearchOutcome(term);
+      expect(['results', 'empty', 'corrected', 'redirected']).toContain(outcome.type);
+      expect(outcome.count).toBeGreaterThanOrEqual(0);
+      console.log(`✔ ${label} query → ${outcome.type} (${outcome.count} cards)`);
+    });
+  }
+});
+
+// ── Search Suggestions (autocomplete) ────────────────────────────────────────
+
+test.describe('Daraz.pk – Search Suggestions', () => {
+
+  test('Typing a prefix shows related suggestions', async ({ page }) => {
+    const homePage = new HomePage(page);
+    await homePage.goto();
+
+    const suggestions = await homePage.getSuggestions('sam');
+    expect(suggestions.length).toBeGreaterThan(0);
+    for (const s of suggestions) {
+      expect(['keyword', 'category', 'shop']).toContain(s.type);
+      expect(s.text.length).toBeGreaterThan(0);
+    }
+    expect(suggestions.some((s) => /sam/i.test(s.text))).toBe(true);
+  });
+
+  test('ArrowDown + Enter opens the highlighted suggestion', async ({ page }) => {
+    const homePage = new HomePage(page);
+    await homePage.goto();
+
+    const suggestions = await homePage.getSuggestions('sam');
+    expect(suggestions.length).toBeGreaterThan(0);
+
+    const highlighted = await homePage.moveSuggestionHighlight(1);
+    expect(highlighted).toBe(suggestions[0].text);
+
+    const startUrl = page.url();
+    await homePage.searchInput.press('Enter');
+    await page.waitForURL((url) => url.toString() !== startUrl, { timeout: 30_000 });
+
+    const landed = new URL(page.url());
+    const message = `Enter on "${highlighted}" landed on ${landed}`;
+    if (suggestions[0].href) {
+      const expected = new URL(suggestions[0].href, startUrl);
+      expect(landed.pathname, message).toBe(expected.pathname);
+      expect(landed.searchParams.get('q'), message).toBe(expected.searchParams.get('q'));
+    } else {
+      expect(new SearchResultsPage(page).getQuery().q, message)
+        .toMatch(new RegExp(escapeRegExp(highlighted.split(' ')[0]), 'i'));
+    }
+  });
+
+  test('Escape closes the suggestion dropdown', async ({ page }) => {
+    const homePage = new HomePage(page);
+    await homePage.goto();
+
+    const suggestions = await homePage.getSuggestions('sam');
+    expect(suggestions.length).toBeGreaterThan(0);
+    expect(await homePage.dismissSuggestions()).toBe(true);
+  });
+
+  test('Selecting a suggestion by text navigates to it', async ({ page }) => {
+    const homePage = new HomePage(page);
+    await homePage.goto();
+
+    const suggestions = await homePage.getSuggestions('sam');
+    const keyword = suggestions.find((s) => s.type === 'keyword') ?? suggestions[0];
+    await homePage.selectSuggestion(keyword.text);
+
+    const resultsPage = new SearchResultsPage(page);
+    await resultsPage.verifyOnResultsPage();
+    expect(resultsPage.getQuery().q).toMatch(new RegExp(escapeRegExp(keyword.text.split(' ')[0]), 'i'));
+  });
+});
+
+// ── Category Browsing (mega-menu) ────────────────────────────────────────────
+
+test.describe('Daraz.pk – Category Browsing', () => {
+  const CATEGORY_PATH = ['Electronic Devices', 'Smartphones'];
+
+  test('Mega-menu opens the category listing with a matching breadcrumb', async ({ page }) => {
+    const homePage = new HomePage(page);
+    await homePage.goto();
+
+    // openCategory() asserts the breadcrumb itself
+    const listing = await homePage.openCategory(CATEGORY_PATH);
+    expect(page.url()).not.toContain('/catalog/');
+
+    const count = await listing.countProducts();
+    expect(count).toBeGreaterThan(0);
+    expect(await listing.getTotalResultCount()).toBeGreaterThanOrEqual(count);
+  });
+
+  test('Category listing can be narrowed with sidebar filters', async ({ page }) => {
+    const homePage = new HomePage(page);
+    await homePage.goto();
+    const listing = await homePage.openCategory(CATEGORY_PATH);
+
+    const { applied } = await listing.applyFilters({ brands: ['Samsung'] });
+    expect(applied.brands).toEqual(['Samsung']);
+
+    await listing.assertBreadcrumb(CATEGORY_PATH);
+    await listing.assertAllProductsMatchBrand(['Samsung']);
+  });
+
+  test('Price, sort and page changes stay on the category listing', async ({ page }) => {
+    const homePage = new HomePage(page);
+    await homePage.goto();
+    const listing = await homePage.openCategory(['Electronic Accessories']);
+    const categoryPath = new URL(page.url()).pathname;
+    const pathname = () => new URL(page.url()).pathname;
+
+    await listing.sortBy('price-asc');
+    expect(pathname(), 'sortBy() left the category').toBe(categoryPath);
+
+    await listing.goToPage(2);
+    expect(pathname(), 'goToPage() left the category').toBe(categoryPath);
+    expect(listing.getQuery().page).toBe(2);
+
+    await listing.applyPriceFilter(PRICE_MIN, PRICE_MAX);
+    expect(pathname(), 'applyPriceFilter() left the category').toBe(categoryPath);
+
+    // The URL fallback these methods use when the sidebar / pager is missing
+    await listing.gotoQuery({ ...listing.getQuery(), sort: 'price-desc' }, { keepPath: true });
+    expect(pathname(), 'gotoQuery({ keepPath }) left the category').toBe(categoryPath);
+    await listing.assertUrlReflects({ sort: 'price-desc', price: { min: PRICE_MIN, max: PRICE_MAX } });
+  });
+});
+
+// ── Product Variants (SKU selection) ─────────────────────────────────────────
+
+test.describe('Daraz.pk – Product Variants', () => {
+  const VARIANT_SEARCH = 'samsung galaxy a15';
+
+  test('Variant groups list their values with one selected each', async ({ openFromSearch }) => {
+    const detailPage = await openFromSearch(VARIANT_SEARCH);
+    const variants = await detailPage.getVariants();
+    test.skip(variants.length === 0, 'Opened product is sold as a single SKU');
+
+    for (const group of variants) {
+      expect(group.values.length, `${group.name} has no values`).toBeGreaterThan(0);
+      expect(group.values.filter((v) => v.selected), `${group.name} selection`).toHaveLength(1);
+    }
+    expect(variants.map((g) => g.kind)).toContain('color');
+  });
+
+  test('Selecting another SKU re-reads price, stock and image', async ({ openFromSearch }) => {
+    const detailPage = await openFromSearch(VARIANT_SEARCH);
+    const variants = await detailPage.getVariants();
+    test.skip(variants.length === 0, 'Opened product is sold as a single SKU');
+
+    const group = variants[0];
+    const target = group.values.find((v) => !v.selected && v.available);
+    test.skip(!target, `No other available ${group.name} to switch to`);
+
+    const before = { price: await detailPage.getProductPrice(), image: await detailPage.getMainImageSrc() };
+    const sku = await detailPage.selectVariant({ [group.name]: target.value });
+
+    expect(sku.selection[group.name]).toBe(target.value);
+    expect(sku.price).toBeGreaterThan(0);
+    expect(sku.stock.inStock).toBe(true);
+    expect(sku.image).toBeTruthy();
+    console.log(`✔ ${group.name} → ${target.value}: price ${before.price} → ${sku.price}, image ${before.image} → ${sku.image}`);
+  });
+
+  test('Unknown variant values are rejected with the valid options', async ({ openFromSearch }) => {
+    const detailPage = await openFromSearch(VARIANT_SEARCH);
+    const variants = await detailPage.getVariants();
+    test.skip(variants.length === 0, 'Opened product is sold as a single SKU');
+
+    await expect(detailPage.selectVariant({ [variants[0].name]: 'No Such Option' }))
+      .rejects.toThrow(/choose from/);
+  });
+});
+
+// ── Cart (after Task 7) ──────────────────────────────────────────────────────
+
+test.describe('Daraz.pk – Cart', () => {
+
+  // Add the opened product; skips the test when the site wants a login
+  // first (daraz.pk guests).
+  async function addToCart(detailPage, quantity) {
+    const result = await detailPage.addToCart({ quantity });
+    test.skip(result.loginRequired, 'Add to Cart requires a logged-in shopper');
+    expect(result.added).toBe(true);
+    return { title: await detailPage.getProductTitle(), quantity: result.quantity, page: detailPage.page };
+  }
+
+  test('Added products appear as line items and the subtotal adds up', async ({ openFromSearch }) => {
+    const first = await addToCart(await openFromSearch(SEARCH_TERM), 2);
+    const second = await addToCart(await openFromSearch(SEARCH_TERM, 1), 1);
+
+    const cartPage = new CartPage(first.page);
+    await cartPage.goto();
+    const lines = await cartPage.getLineItems();
+
+    expect(lines).toHaveLength(2);
+    for (const added of [first, second]) {
+      const line = lines.find((l) => l.title === added.title);
+      expect(line, `"${added.title}" missing from the cart`).toBeTruthy();
+      expect(line.quantity).toBe(added.quantity);
+      expect(line.unitPrice).toBeGreaterThan(0);
+    }
+    await cartPage.assertSubtotalMatchesLineItems();
+  });
+
+  test('Changing a quantity updates the line total and subtotal', async ({ openFromSearch }) => {
+    const added = await addToCart(await openFromSearch(SEARCH_TERM), 1);
+
+    const cartPage = new CartPage(added.page);
+    await cartPage.goto();
+    const line = await cartPage.setQuantity(added.title, 3);
+
+    expect(line.quantity).toBe(3);
+    expect(line.lineTotal).toBe(line.unitPrice * 3);
+    await cartPage.assertSubtotalMatchesLineItems();
+  });
+
+  test('Removing the only line empties the cart', async ({ openFromSearch }) => {
+    const added = await addToCart(await openFromSearch(SEARCH_TERM), 1);
+
+    const cartPage = new CartPage(added.page);
+    await cartPage.goto();
+    const remaining = await cartPage.removeItem(added.title);
+
+    expect(remaining).toHaveLength(0);
+    expect(await cartPage.isEmpty()).toBe(true);
+  });
+});
+
+// ── Delivery Location (shipping per region) ─────────────────────────────────
+
+test.describe('Daraz.pk – Delivery Location', () => {
+
+  test('Shipping is re-quoted for every city in the location matrix', async ({ openFromSearch }) => {
+    const detailPage = await openFromSearch(SEARCH_TERM);
+    const matrix = [];
+
+    for (const location of DELIVERY_LOCATIONS) {
+      const { location: shown, options } = await detailPage.setDeliveryLocation(location);
+      expect(shown).toContain(location.city);
+      expect(options.length, `No delivery options for ${location.city}`).toBeGreaterThan(0);
+      matrix.push({ city: location.city, free: options.some((o) => o.isFree), fees: options.map((o) => `${o.type}:${o.fee}`) });
+    }
+
+    const freeIn = matrix.filter((row) => row.free).map((row) => row.city);
+    for (const row of matrix) console.log(`  ${row.city.padEnd(10)} free=${row.free} ${row.fees.join(' ')}`);
+    if (freeIn.length > 0 && freeIn.length < matrix.length) {
+      console.log(`ℹ Free shipping only applies in: ${freeIn.join(', ')}`);
+    }
+  });
+
+  test('Chosen location is kept after reloading the product page', async ({ openFromSearch }) => {
+    const detailPage = await openFromSearch(SEARCH_TERM);
+    const target = DELIVERY_LOCATIONS[DELIVERY_LOCATIONS.length - 1];
+    await detailPage.setDeliveryLocation(target);
+
+    await detailPage.page.reload({ waitUntil: 'domcontentloaded' });
+    expect(await detailPage.getDeliveryLocation()).toContain(target.city);
+  });
+
+  test('Unknown locations are rejected with the offered choices', async ({ openFromSearch }) => {
+    const detailPage = await openFromSearch(SEARCH_TERM);
+    await expect(detailPage.setDeliveryLocation({ province: 'Atlantis', city: 'Nowhere' }))
+      .rejects.toThrow(/choose from/);
+  });
+});
+
+// ── Ratings & Reviews ────────────────────────────────────────────────────────
+
+test.describe('Daraz.pk – Ratings & Reviews', () => {
+
+  test('Star histogram adds up to the rating count and average', async ({ openFromSearch }) => {
+    const detailPage = await openFromSearch(SEARCH_TERM);
+    const summary = await detailPage.assertRatingHistogramConsistent();
+    expect(summary.total).toBeGreaterThan(0);
+  });
+
+  test('Average on the search card matches the product page', async ({ page }) => {
+    const homePage = new HomePage(page);
+    await homePage.goto();
+    await homePage.searchFor(SEARCH_TERM);
+    const resultsPage = new SearchResultsPage(page);
+    const products = await resultsPage.getProducts();
+    const index = products.findIndex((p) => p.rating);
+    test.skip(index === -1, 'No search card shows a rating');
+
+    const detailPage = new ProductDetailPage(await resultsPage.openProduct(index));
+    await detailPage.waitForPageLoad();
+    const { average } = await detailPage.getRatingSummary();
+    expect(Math.abs(average - products[index].rating),
+      `Card shows ${products[index].rating}, product page ${average}`).toBeLessThanOrEqual(0.1);
+  });
+
+  test('Star filter keeps only matching reviews across pages', async ({ openFromSearch }) => {
+    const detailPage = await openFromSearch(SEARCH_TERM);
+    const { total } = await detailPage.getRatingSummary();
+    const firstPage = await detailPage.getReviews();
+    test.skip(firstPage.length === 0, 'Product has no written reviews');
+    // Back to page 1 — getReviews() pages on from wherever the list is
+    await detailPage.page.reload({ waitUntil: 'domcontentloaded' });
+    const twoPages = await detailPage.getReviews({ pages: 2 });
+    if (total > firstPage.length) expect(twoPages.length).toBeGreaterThan(firstPage.length);
+
+    const fiveStar = await detailPage.getReviews({ pages: 2, filterStars: 5 });
+    expect(fiveStar.length).toBeGreaterThan(0);
+    expect(fiveStar.filter((r) => r.stars !== 5), 'Reviews outside the 5-star filter').toEqual([]);
+  });
+
+  test('"Recent" sort lists the newest reviews first', async ({ openFromSearch }) => {
+    const detailPage = await openFromSearch(SEARCH_TERM);
+    const dates = (await detailPage.getReviews({ pages: 2, sort: 'recent' })).map((r) => r.date).filter(Boolean);
+    expect(dates.length).toBeGreaterThan(1);
+    expect(dates).toEqual([...dates].sort().reverse());
+  });
+});
+
+// ── Seller & Store (Visit Store) ─────────────────────────────────────────────
+
+test.describe('Daraz.pk – Seller & Store', () => {
+
+  test('Seller name and scores are read from the product page', async ({ openFromSearch }) => {
+    const seller = await (await openFromSearch(SEARCH_TERM)).getSellerInfo();
+    expect(seller.name).toBeTruthy();
+    expect(seller.positiveRating, 'Positive seller rating not shown').not.toBeNull();
+    for (const key of ['positiveRating', 'shipOnTime', 'chatResponse']) {
+      if (seller[key] !== null) {
+        expect(seller[key], key).toBeGreaterThanOrEqual(0);
+        expect(seller[key], key).toBeLessThanOrEqual(100);
+      }
+    }
+    if (seller.lazMall) expect(seller.official, 'LazMall stores are official brand stores').toBe(true);
+  });
+
+  test('"Visit Store" opens the same seller\'s storefront', async ({ openFromSearch }) => {
+    const detailPage = await openFromSearch(SEARCH_TERM);
+    const seller = await detailPage.getSellerInfo();
+    const storePage = await detailPage.visitStore();
+
+    expect(await storePage.getStoreName()).toBe(seller.name);
+    const products = await storePage.getProducts();
+    expect(products.length).toBeGreaterThan(0);
+
+    // A product from the store grid is sold by the same seller
+    await storePage.page.goto(products[products.length - 1].url, { waitUntil: 'domcontentloaded' });
+    const other = new ProductDetailPage(storePage.page);
+    await other.waitForPageLoad();
+    expect((await other.getSellerInfo()).name).toBe(seller.name);
+  });
+
+  test('Search in store narrows the listing to matching products', async ({ openFromSearch }) => {
+    const storePage = await (await openFromSearch(SEARCH_TERM)).visitStore();
+    const all = await storePage.getProducts();
+    const words = all[0].title.split(/\s+/).filter((w) => /^[a-z]{4,}$/i.test(w));
+    test.skip(words.length === 0, `No searchable word in "${all[0].title}"`);
+
+    const term = words[words.length - 1];
+    const found = await storePage.searchInStore(term);
+    expect(found.length).toBeLessThanOrEqual(all.length);
+    await storePage.assertProductsMatch(term);
+  });
+});
+
+// ── Product Gallery ──────────────────────────────────────────────────────────
+
+test.describe('Daraz.pk – Product Gallery', () => {
+
+  test('Every gallery image loads and the preview opens', async ({ openFromSearch }) => {
+    const detailPage = await openFromSearch(SEARCH_TERM);
+    const images = await detailPage.assertGalleryImagesValid();
+    expect(images.length).toBeGreaterThan(0);
+  });
+
+  test('Each thumbnail switches the main image', async ({ openFromSearch }) => {
+    const detailPage = await openFromSearch(SEARCH_TERM);
+    const images = await detailPage.getGalleryImages();
+    test.skip(images.length < 2, 'Product has a single image');
+
+    expect(images.filter((img) => !img.shown).map((img) => img.thumbnail), 'Thumbnails that did not switch the main image').toEqual([]);
+    expect(new Set(images.map((img) => img.src)).size).toBeGreaterThan(1);
+  });
+});
+
+// ── Structured Data (JSON-LD, page data) ─────────────────────────────────────
+
+test.describe('Daraz.pk – Structured Data', () => {
+
+  test('Embedded product data agrees with the rendered title, price and rating', async ({ openFromSearch }) => {
+    const detailPage = await openFromSearch(SEARCH_TERM);
+    const data = await detailPage.assertStructuredDataMatchesPage();
+    expect(data.sku).toBeTruthy();
+    expect(data.brand).toBeTruthy();
+    expect(data.stock.inStock).not.toBeNull();
+  });
+
+  test('Structured price follows the selected SKU', async ({ openFromSearch }) => {
+    const detailPage = await openFromSearch('samsung galaxy a15');
+    const variants = await detailPage.getVariants();
+    test.skip(variants.length === 0, 'Opened product is sold as a single SKU');
+
+    const group = variants[0];
+    const target = group.values.find((v) => !v.selected && v.available);
+    test.skip(!target, `No other available ${group.name} to switch to`);
+
+    const sku = await detailPage.selectVariant({ [group.name]: target.value });
+    const data = await detailPage.getStructuredData();
+    expect(data.price, `Structured price for ${group.name} ${target.value}`).toBe(sku.price);
+    expect(data.stock.inStock).toBe(sku.stock.inStock);
+  });
+});
+
+// ── Availability (stock, pre-order, delisted) ────────────────────────────────
+
+test.describe('Daraz.pk – Availability', () => {
+  const STATUSES = ['in_stock', 'low_stock', 'out_of_stock', 'pre_order', 'delisted'];
+
+  test('Product page reports a known availability state', async ({ page }) => {
+    const homePage = new HomePage(page);
+    await homePage.goto();
+    await homePage.searchFor(SEARCH_TERM);
+    const detailPage = new ProductDetailPage(await new SearchResultsPage(page).openProduct(0));
+    await detailPage.waitForPageLoad();
+
+    const availability = await detailPage.getAvailability();
+    expect(STATUSES).toContain(availability.status);
+    expect(availability.available).toBe(!['out_of_stock', 'delisted'].includes(availability.status));
+    if (availability.status === 'low_stock') expect(availability.quantity).toBeGreaterThan(0);
+  });
+
+  test('A dead product link is reported as delisted', async ({ page }) => {
+    await page.goto(`${BASE_URL}/products/no-such-product-i1.html`, { waitUntil: 'domcontentloaded' });
+    const detailPage = new ProductDetailPage(page);
+    await detailPage.waitForPageLoad();
+
+    const availability = await detailPage.getAvailability();
+    expect(availability.status).toBe('delisted');
+    expect(availability.available).toBe(false);
+  });
+
+  test('openProduct() can skip sold-out and delisted products', async ({ page }) => {
+    const homePage = new HomePage(page);
+    await homePage.goto();
+    await homePage.searchFor('laptop');
+    const productPage = await new SearchResultsPage(page).openProduct(0, { skipUnavailable: true });
+
+    const availability = await new ProductDetailPage(productPage).getAvailability();
+    expect(availability.available, `Opened a ${availability.status} product`).toBe(true);
+  });
+});
+
+// ── Promotions (discount, vouchers, flash sale) ──────────────────────────────
+
+test.describe('Daraz.pk – Promotions', () => {
+
+  test('Displayed discount % matches the original and current price', async ({ openFromSearch }) => {
+    const detailPage = await openFromSearch(SEARCH_TERM, 0, { skipUnavailable: true });
+    await detailPage.assertDiscountMatchesPrices();
+  });
+
+  test('Discount % is recalculated for the selected SKU', async ({ openFromSearch }) => {
+    const detailPage = await openFromSearch('samsung galaxy a15', 0, { skipUnavailable: true });
+    const variants = await detailPage.getVariants();
+    test.skip(variants.length === 0, 'Opened product is sold as a single SKU');
+
+    const group = variants.find((g) => g.kind === 'storage') || variants[0];
+    const target = group.values.find((v) => !v.selected && v.available);
+    test.skip(!target, `No other available ${group.name} to switch to`);
+
+    await detailPage.selectVariant({ [group.name]: target.value });
+    await detailPage.assertDiscountMatchesPrices();
+  });
+
+  test('Vouchers, flash sale and installments are well-formed', async ({ openFromSearch }) => {
+    const detailPage = await openFromSearch(SEARCH_TERM, 0, { skipUnavailable: true });
+    const promo = await detailPage.getPromotions();
+
+    for (const voucher of promo.vouchers) {
+      expect(voucher.amount ?? voucher.percent, `Voucher without a value: "${voucher.text}"`).toBeGreaterThan(0);
+      if (voucher.amount !== null && voucher.minSpend !== null) {
+        expect(voucher.amount, `Voucher worth more than its minimum spend: "${voucher.text}"`).toBeLessThan(voucher.minSpend);
+      }
+    }
+    if (promo.flashSale) {
+      expect(promo.flashSale.endsIn).toBeGreaterThanOrEqual(0);
+      expect(promo.flashSale.endsIn, 'Flash sale countdown over a week').toBeLessThanOrEqual(7 * 86_400);
+    }
+    for (const plan of promo.installments.filter((p) => p.months && p.monthly)) {
+      // Markup can only add to the price, never take from it
+      expect(plan.months * plan.monthly, `Installments below the price: "${plan.text}"`).toBeGreaterThanOrEqual(promo.price);
+    }
+  });
+});
+
+// ── Search Card vs Product Page ──────────────────────────────────────────────
+
+test.describe('Daraz.pk – Search Card vs Product Page', () => {
+
+  test('Product page shows the title, price and rating of its search card', async ({ openFromSearch }) => {
+    const detailPage = await openFromSearch(SEARCH_TERM, 0, { skipUnavailable: true });
+    expect(detailPage.listing, 'openProduct() did not record the card').not.toBeNull();
+    expect(detailPage.listing.title).toBeTruthy();
+    await detailPage.assertMatchesListing();
+  });
+
+  test('A card further down the list matches its product page too', async ({ openFromSearch }) => {
+    const detailPage = await openFromSearch(SEARCH_TERM, 3, { skipUnavailable: true });
+    await detailPage.assertMatchesListing();
+  });
+
+  test('A different SKU price passes only within the given tolerance', async ({ openFromSearch }) => {
+    const detailPage = await openFromSearch('samsung galaxy a15', 0, { skipUnavailable: true });
+    const variants = await detailPage.getVariants();
+    test.skip(variants.length === 0, 'Opened product is sold as a single SKU');
+
+    const group = variants.find((g) => g.kind === 'storage') || variants[0];
+    const target = group.values.find((v) => !v.selected && v.available);
+    test.skip(!target, `No other available ${group.name} to switch to`);
+
+    const sku = await detailPage.selectVariant({ [group.name]: target.value });
+    test.skip(sku.price === detailPage.listing.price, `${target.value} costs the same as the card`);
+
+    await expect(detailPage.assertMatchesListing()).rejects.toThrow(/price/);
+    await detailPage.assertMatchesListing({ priceTolerance: Math.abs(sku.price - detailPage.listing.price) });
+  });
+});
+
+// ── Money Parsing ─────────────────────────────────────────────────────────────
+
+test.describe('Daraz.pk – Money Parsing', () => {
+  const CASES = [
+    ['Rs. 1,299',              { amount: 1299, currency: 'PKR', min: 1299, max: 1299 }],
+    ['PKR 1,299.50',           { amount: 1299.5, currency: 'PKR' }],
+    ['PKR1,299',               { amount: 1299, currency: 'PKR' }],
+    ['Rs1,299',                { amount: 1299, currency: 'PKR' }],
+    ['Rs. 1,29,999',           { amount: 129999 }],
+    ['Qty 2 Rs. 1,299',        { amount: 1299, max: 1299 }],
+    ['1,299 - 2,499 PKR',      { amount: 1299, currency: 'PKR', max: 2499 }],
+    ['Rs. 1,299 - Rs. 2,499',  { amount: 1299, min: 1299, max: 2499 }],
+    ['1,299 – 2,499',          { amount: 1299, currency: null, max: 2499 }],
+    ['Rs 2,899 Rs 4,500 -36%', { amount: 2899, max: 2899 }],
+    ['৳ ১,২৯৯',                { amount: 1299, currency: 'BDT' }],
+    ['රු 2,500',               { amount: 2500, currency: 'LKR' }],
+    ['Rs ۱٬۲۹۹',               { amount: 1299, currency: 'PKR' }],
+    ['١٢٬٣٤٥ روپے',            { amount: 12345, currency: 'PKR' }],
+    ['Free',                   { amount: 0, min: 0, max: 0 }],
+  ];
+
+  for (const [text, expected] of CASES) {
+    test(`parseMoney("${text}")`, async () => {
+      expect(parseMoney(text)).toMatchObject(expected);
+    });
+  }
+
+  test('Text without an amount is rejected, not read as a number', async () => {
+    for (const text of ['', 'Rs.', 'Calculated at checkout']) {
+      expect(() => parseMoney(text), `"${text}"`).toThrow(/Cannot parse a money amount/);
+    }
+  });
+
+  test('Abbreviated amounts and other separators are rejected, not misread', async () => {
+    for (const text of ['Rs. 12.5k', 'Rs. 3 lac', 'Rs. 1.5 million', '1.299,00', '12,50']) {
+      expect(() => parseMoney(text), `"${text}"`).toThrow(/Ambiguous money amount/);
+    }
+  });
+
+  test('A range that runs high to low is rejected', async () => {
+    expect(() => parseMoney('Rs 2,499 - 1,299')).toThrow(/range runs high to low/);
+  });
+
+  test('Two amounts separated by words are rejected', async () => {
+    expect(() => parseMoney('Save Rs. 200 on Rs. 1,000')).toThrow(/More than one money amount/);
+  });
+
+  test('More than two amounts are rejected', async () => {
+    expect(() => parseMoney('Rs. 1,299 Rs. 1,599 Rs. 1,999')).toThrow(/More than one money amount/);
+  });
+
+  test('A threshold is rejected, not read as the price', async () => {
+    expect(() => parseMoney('Free delivery over Rs. 999')).toThrow(/Threshold, not a price/);
+  });
+
+  test('Installment text with the term first still yields the monthly amount', async () => {
+    const { parseInstallment } = ProductDetailPage.parsers;
+    expect(parseInstallment('12 months installment Rs 3,834/month')).toMatchObject({ months: 12, monthly: 3834 });
+  });
+
+  test('Promotion and fee amounts parseMoney() rejects read as null, not a crash', async () => {
+    const { parseFee, parseVoucher } = ProductDetailPage.parsers;
+    expect(parseFee('Free delivery over Rs. 999')).toEqual({ fee: null, currency: null });
+    expect(parseVoucher('Rs. 12.5k OFF Min. spend Rs 3,000')).toMatchObject({ amount: null, minSpend: 3000 });
   });
 });
 
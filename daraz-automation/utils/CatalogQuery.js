@@ -0,0 +1,144 @@
+// utils/CatalogQuery.js
+// ─────────────────────────────────────────────────────────────────────────────
+// Model of a Daraz catalog URL: parse one into a plain query object, or build
+// one back from the same shape.
+//
+//   /catalog/?q=electronics&brand=samsung--xiaomi&price=500-5000&rating=4
+//            &location=karachi&service=free-shipping&sort=priceasc&page=2
+//
+// Multi-select facets (brand, location, service) are slugs joined with "--";
+// price is "min-max" with either side optional; sort uses the Daraz values
+// from SORT_OPTIONS. Unrecognised parameters are kept in `extra` so a parse →
+// build round trip never drops them.
+// ─────────────────────────────────────────────────────────────────────────────
+
+const { BASE_URL, SORT_OPTIONS } = require('../config/constants');
+
+const CATALOG_PATH = '/catalog/';
+const MULTI_SEPARATOR = '--';
+const KNOWN_PARAMS = ['q', 'brand', 'price', 'rating', 'location', 'service', 'category', 'sort', 'page'];
+
+/**
+ * @typedef {object} CatalogQueryShape
+ * @property {string}   q
+ * @property {string[]} brands    Brand slugs, e.g. ["samsung", "xiaomi"]
+ * @property {{ min: number|null, max: number|null }|null} price
+ * @property {number|null} rating Minimum stars
+ * @property {string[]} location  Location slugs, e.g. ["karachi"]
+ * @property {string[]} service   Service slugs, e.g. ["free-shipping", "cod"]
+ * @property {string|null} category
+ * @property {string|null} sort   SORT_OPTIONS key ("price-asc"), or the raw value if unknown
+ * @property {number}   page      1-based
+ * @property {Object<string, string>} extra  Any other query parameters
+ */
+
+/**
+ * Facet value slug, as Daraz writes it in the URL ("Free Shipping" → "free-shipping").
+ * @param {string} text
+ * @returns {string}
+ */
+function slug(text) {
+  return String(text).toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '');
+}
+
+function splitMulti(value) {
+  return (value || '').split(MULTI_SEPARATOR).map((v) => v.trim()).filter(Boolean);
+}
+
+function toNumberOrNull(value) {
+  if (value === undefined || value === null || value === '') return null;
+  const n = Number(value);
+  return Number.isFinite(n) ? n : null;
+}
+
+/**
+ * Parse a catalog URL (absolute or relative) into a query object.
+ * @param {string|URL} url
+ * @returns {CatalogQueryShape}
+ */
+function parse(url) {
+  const { searchParams } = new URL(String(url), BASE_URL);
+
+  let price = null;
+  const priceParam = searchParams.get('price');
+  if (priceParam && priceParam.includes('-')) {
+    const [min, max] = priceParam.split('-');
+    price = { min: toNumberOrNull(min), max: toNumberOrNull(max) };
+  }
+
+  const sortParam = searchParams.get('sort');
+  const sortKey = Object.keys(SORT_OPTIONS).find((key) => SORT_OPTIONS[key].param === sortParam);
+
+  const extra = {};
+  for (const [name, value] of searchParams) {
+    if (!KNOWN_PARAMS.includes(name)) extra[name] = value;
+  }
+
+  return {
+    q: searchParams.get('q') || '',
+    brands: splitMulti(searchParams.get('brand')),
+    price,
+    rating: toNumberOrNull(searchParams.get('rating')),
+    location: splitMulti(searchParams.get('location')),
+    service: splitMulti(searchParams.get('service')),
+    category: searchParams.get('category') || null,
+    sort: sortKey || sortParam || null,
+    page: Math.max(1, parseInt(searchParams.get('page'), 10) || 1),
+    extra,
+  };
+}
+
+/**
+ * Build an absolute catalog URL from a (partial) query object.
+ * Labels are slugified, so `{ brands: ['Samsung'] }` and `{ brands: ['samsung'] }`
+ * produce the same URL. Page 1 and empty facets are omitted.
+ *
+ * @param {Partial<CatalogQueryShape>} query
+ * @param {string} [base=BASE_URL] - Origin to build against
+ * @param {string} [path=CATALOG_PATH] - Listing path, e.g. "/smartphones/" for a category listing
+ * @returns {string}
+ */
+function build(query = {}, base = BASE_URL, path = CATALOG_PATH) {
+  const url = new URL(path, base);
+  const params = url.searchParams;
+  const multi = (name, values) => {
+    const slugs = [].concat(values || []).map(slug).filter(Boolean);
+    if (slugs.length) params.set(name, slugs.join(MULTI_SEPARATOR));
+  };
+
+  if (query.q !== undefined && query.q !== null) params.set('q', query.q);
+  multi('brand', query.brands);
+
+  if (query.price && (query.price.min != null || query.price.max != null)) {
+    params.set('price', `${query.price.min ?? ''}-${query.price.max ?? ''}`);
+  }
+  if (query.rating != null) params.set('rating', String(query.rating));
+
+  multi('location', query.location);
+  multi('service', query.service);
+  if (query.category) params.set('category', slug(query.category));
+
+  if (query.sort) params.set('sort', SORT_OPTIONS[query.sort] ? SORT_OPTIONS[query.sort].param : query.sort);
+  if (query.page > 1) params.set('page', String(query.page));
+
+  for (const [name, value] of Object.entries(query.extra || {})) params.set(name, value);
+  return url.toString();
+}
+
+/**
+ * Bring a partial query into canonical form (slugs, numbers, defaults) so it
+ * can be compared with the result of `parse()`.
+ * @param {Partial<CatalogQueryShape>} query
+ * @returns {CatalogQueryShape}
+ */
+function normalize(query) {
+  return parse(build(query));
+}
+
+module.exports = {
+  CATALOG_PATH,
+  slug,
+  parse,
+  build,
+  normalize,
+};
@@ -0,0 +1,128 @@
+// utils/har.js
+// ─────────────────────────────────────────────────────────────────────────────
+// HAR record-and-replay for end-to-end flows.
+//
+//   HAR_MODE=record  → run against the network, save every exchange to hars/
+//   HAR_MODE=replay  → serve responses from hars/ only; any request missing
+//                      from the archive is aborted and fails the test
+//   HAR_MODE=off     → (default) plain network, no archive involved
+//
+// Tests opt in by requesting the `har` fixture (see `harFixtures` below).
+// ─────────────────────────────────────────────────────────────────────────────
+
+const fs = require('fs');
+const path = require('path');
+const { SITE, HAR_MODE, HAR_MAX_AGE_DAYS } = require('../config/constants');
+
+const HAR_DIR = path.join(__dirname, '..', 'hars');
+
+/**
+ * Turn a test title into a file-name-safe slug.
+ * @param {string} text
+ * @returns {string}
+ */
+function slug(text) {
+  return text
+    .normalize('NFKD')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '');
+}
+
+/**
+ * Archive path for a test: hars/<site>/<spec file>/<describe + test title>.har
+ * Each test gets its own archive so re-recording one never disturbs another.
+ * @param {import('@playwright/test').TestInfo} testInfo
+ * @returns {string}
+ */
+function harPathFor(testInfo) {
+  const spec = path.basename(testInfo.file, '.js');
+  // titlePath = [spec file, ...describe titles, test title]
+  const title = testInfo.titlePath.slice(1).map(slug).join('--');
+  return path.join(HAR_DIR, SITE, spec, `${title}.har`);
+}
+
+/**
+ * Wire a browser context to record into, or replay from, the test's archive.
+ *
+ * @param {import('@playwright/test').BrowserContext} context
+ * @param {import('@playwright/test').TestInfo} testInfo
+ * @param {string} [mode=HAR_MODE]
+ * @returns {Promise<{ mode: string, file: string|null, misses: string[] }>}
+ */
+async function attachHar(context, testInfo, mode = HAR_MODE) {
+  const har = { mode, file: null, misses: [] };
+  if (mode === 'off') return har;
+
+  har.file = harPathFor(testInfo);
+
+  if (mode === 'record') {
+    // Archive is written when the context closes; the old one is replaced
+    fs.mkdirSync(path.dirname(har.file), { recursive: true });
+    await context.routeFromHAR(har.file, { update: true, updateContent: 'embed', updateMode: 'full' });
+    console.log(`[HAR] Recording to ${path.relative(process.cwd(), har.file)}`);
+    return har;
+  }
+
+  if (!fs.existsSync(har.file)) {
+    throw new Error(
+      `[HAR] No archive for this test at ${har.file}\n` +
+      '      Record one first with HAR_MODE=record (npm run test:record).'
+    );
+  }
+
+  const ageDays = (Date.now() - fs.statSync(har.file).mtimeMs) / 86_400_000;
+  if (ageDays > HAR_MAX_AGE_DAYS) {
+    console.warn(
+      `[HAR] ⚠ Archive is ${Math.floor(ageDays)} days old (limit ${HAR_MAX_AGE_DAYS}) — ` +
+      'refresh it with HAR_MODE=record'
+    );
+  }
+
+  // Routes run in reverse registration order: the HAR handler answers first and
+  // falls back to this catch-all only for requests it has no entry for.
+  await context.route('**/*', (route) => {
+    const request = route.request();
+    har.misses.push(`${request.method()} ${request.url()}`);
+    console.error(`[HAR] ✘ Not in archive: ${request.method()} ${request.url()}`);
+    return route.abort('blockedbyclient');
+  });
+  await context.routeFromHAR(har.file, { notFound: 'fallback' });
+  console.log(`[HAR] Replaying from ${path.relative(process.cwd(), har.file)}`);
+  return har;
+}
+
+/**
+ * Fail with a readable list of requests the archive could not answer.
+ * @param {{ mode: string, file: string|null, misses: string[] }} har
+ */
+function assertNoHarMisses(har) {
+  if (har.mode !== 'replay' || har.misses.length === 0) return;
+  const unique = [...new Set(har.misses)];
+  throw new Error(
+    `[HAR] ${unique.length} request(s) were not found in ${har.file}:\n` +
+    unique.map((m) => `  • ${m}`).join('\n') +
+    '\nThe archive is stale or incomplete — re-record it with HAR_MODE=record.'
+  );
+}
+
+/**
+ * Playwright fixtures: `test.extend(harFixtures)` gives tests a `har` fixture.
+ * Requesting it attaches the archive to the test's context; teardown fails the
+ * test if replay hit any request that was not recorded.
+ */
+const harFixtures = {
+  har: async ({ context }, use, testInfo) => {
+    const har = await attachHar(context, testInfo);
+    await use(har);
+    assertNoHarMisses(har);
+  },
+};
+
+module.exports = {
+  HAR_DIR,
+  harPathFor,
+  attachHar,
+  assertNoHarMisses,
+  harFixtures,
+};
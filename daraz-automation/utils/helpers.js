@@ -75,14 +75,178 @@ async function safeClick(locator, retries = 3) {
   }
 }
 
+// Currency markers → ISO code. "Rs" is shared by several rupees, so it (and ₨)
+// resolves to parseMoney()'s `rupee` option instead. Latin markers may touch the
+// digits ("PKR1,299", "Rs.1,299") but not other letters ("Rsvp", "Tkt").
+const CURRENCY_MARKERS = [
+  [/(?<![a-z])PKR(?=[\s\d]|$)/i, 'PKR'],
+  [/৳|(?<![a-z])(?:Tk\.?|BDT)(?=[\s\d]|$)/i, 'BDT'],
+  [/රු|(?<![a-z])LKR(?=[\s\d]|$)/i, 'LKR'],
+  [/रू|(?<![a-z])NPR(?=[\s\d]|$)/i, 'NPR'],
+  [/₨|روپے|(?<![a-z])Rs\.?(?=[\s\d]|$)/i, null],
+];
+
+// The same markers anchored to an amount: right before it, or right after it
+const MARKER_BEFORE = CURRENCY_MARKERS.map(([pattern]) => new RegExp(`(?:${pattern.source})\\s*$`, 'i'));
+const MARKER_AFTER = CURRENCY_MARKERS.map(([pattern]) => new RegExp(`^\\s*(?:${pattern.source})`, 'i'));
+
+// Digits grouped by commas — western (1,299,000) or South Asian (12,99,000) —
+// with at most two decimals. "1.299,00", "12,50" and "1.299" are ambiguous.
+const WELL_FORMED_AMOUNT = /^(?:\d{1,3}(?:,\d{2,3})*,\d{3}|\d+)(?:\.\d{1,2})?$/;
+
+// Magnitude suffixes that would make the digits a fraction of the amount: "12.5k", "3 lac", "1.5 million"
+const MAGNITUDE_SUFFIX = /^\s*(?:k|m|mn|bn|thousand|million|billion|lacs?|lakhs?|cr|crores?)\b/i;
+
+// Words that make the amount after them a threshold, not a price: "Free delivery over Rs. 999"
+const THRESHOLD_BEFORE = /\b(?:over|above|min(?:imum)?\.?|spend|at least|orders? of)\s*$/i;
+
+// What joins the two ends of a price range: "1,299 - 2,499", "1,299 to 2,499"
+const RANGE_JOINER = /^(?:-|–|—|~|to)$/i;
+
+// Zero of each non-Latin digit block prices appear in: Arabic-Indic, Urdu /
+// Persian (Extended Arabic-Indic), Devanagari and Bengali
+const DIGIT_ZEROS = [0x0660, 0x06f0, 0x0966, 0x09e6];
+
 /**
- * Extract a numeric price from a text string like "PKR 1,299" → 1299.
+ * Rewrite non-Latin digits and Arabic separators (٬ ٫) as "0-9", "," and ".".
  * @param {string} text
- * @returns {number|null}
+ * @returns {string}
+ */
+function toLatinDigits(text) {
+  return text
+    .replace(/[\u0660-\u0669\u06f0-\u06f9\u0966-\u096f\u09e6-\u09ef]/g, (ch) => {
+      const code = ch.charCodeAt(0);
+      const zero = DIGIT_ZEROS.find((z) => code >= z && code <= z + 9);
+      return String(code - zero);
+    })
+    .replace(/\u066c/g, ',')
+    .replace(/\u066b/g, '.');
+}
+
+/**
+ * @typedef {object} Money
+ * @property {number}      amount    - The price; the low end of a range; 0 for "Free"
+ * @property {string|null} currency  - ISO code ("PKR", "BDT", "LKR", "NPR"); null when the text names none
+ * @property {number}      min       - Equal to `amount`
+ * @property {number}      max       - High end of a range, else equal to `amount`
  */
-function parsePrice(text) {
-  const match = text.replace(/,/g, '').match(/[\d.]+/);
-  return match ? parseFloat(match[0]) : null;
+
+/**
+ * Parse a displayed price: "Rs. 1,299", "PKR1,299.50", "৳ ১,২৯৯", "රු 2,500",
+ * Urdu digits ("Rs ۱٬۲۹۹"), ranges ("Rs. 1,299 - 2,499") and "Free". The
+ * price is the first amount a currency marker is attached to, so a count
+ * before it ("Qty 2 Rs. 1,299") is skipped; a strike-through price or a
+ * "-36%" badge right after it is ignored. Text that could only be read by
+ * guessing throws instead of returning a wrong number.
+ * @param {string} text
+ * @param {object} [options]
+ * @param {string} [options.rupee='PKR'] - Currency "Rs" / "₨" stand for
+ * @returns {Money}
+ * @throws {Error} When the text holds no amount and is not "Free"; when an
+ *   amount is abbreviated ("12.5k") or uses other separators ("1.299,00");
+ *   when a range runs high to low; when words separate two amounts
+ *   ("Save Rs. 200 on Rs. 1,000") or more than two follow the price; when
+ *   the amount is a threshold ("Free delivery over Rs. 999")
+ */
+function parseMoney(text, { rupee = 'PKR' } = {}) {
+  if (typeof text !== 'string') throw new TypeError(`parseMoney() expects a string, got ${typeof text}`);
+
+  // Percentages are discounts, never amounts
+  const clean = toLatinDigits(text).replace(/[-−]?\s*\d+(?:\.\d+)?\s*%/g, ' ');
+  const marker = CURRENCY_MARKERS.find(([pattern]) => pattern.test(clean));
+  const currency = marker ? marker[1] || rupee : null;
+
+  const numbers = [...clean.matchAll(/\d[\d.,]*\d|\d/g)];
+  if (numbers.length === 0) {
+    if (/\bfree\b/i.test(clean)) return { amount: 0, currency, min: 0, max: 0 };
+    throw new Error(`Cannot parse a money amount from "${text}"`);
+  }
+  for (const match of numbers) {
+    const after = clean.slice(match.index + match[0].length);
+    if (!WELL_FORMED_AMOUNT.test(match[0]) || MAGNITUDE_SUFFIX.test(after)) {
+      const suffix = (after.match(MAGNITUDE_SUFFIX) || [''])[0].trimEnd();
+      throw new Error(`Ambiguous money amount "${match[0]}${suffix}" in "${text}"`);
+    }
+  }
+
+  // What separates two amounts once currency markers are dropped: "-" for a range,
+  // "" for a strike-through pair
+  const joinerBetween = (first, second) => CURRENCY_MARKERS.reduce((rest, [pattern]) => rest.replace(pattern, ''),
+    clean.slice(first.index + first[0].length, second.index)).trim();
+
+  // Start at the first amount with a currency marker in front of it ("Rs 1,299"),
+  // else behind it ("1,299 PKR", or the range "1,299 - 2,499 PKR" it ends),
+  // else at the first amount
+  const markedBefore = numbers.findIndex((match) =>
+    MARKER_BEFORE.some((pattern) => pattern.test(clean.slice(0, match.index))));
+  let start = markedBefore;
+  if (start === -1) {
+    start = Math.max(numbers.findIndex((match) =>
+      MARKER_AFTER.some((pattern) => pattern.test(clean.slice(match.index + match[0].length)))), 0);
+    if (start > 0 && RANGE_JOINER.test(joinerBetween(numbers[start - 1], numbers[start]))) start -= 1;
+  }
+  const amounts = numbers.slice(start);
+
+  const lead = MARKER_BEFORE.reduce((rest, pattern) => rest.replace(pattern, ''), clean.slice(0, amounts[0].index));
+  if (THRESHOLD_BEFORE.test(lead)) throw new Error(`Threshold, not a price, in "${text}"`);
+  if (amounts.length > 2) throw new Error(`More than one money amount in "${text}"`);
+
+  const toNumber = (match) => Number(match[0].replace(/,/g, ''));
+  const amount = toNumber(amounts[0]);
+  let max = amount;
+  if (amounts.length > 1) {
+    // "<amount> - <amount>" (or "to", "~") is a range and nothing but currency
+    // markers between two amounts is a strike-through pair; anything else is
+    // a sentence with several prices in it
+    const joiner = joinerBetween(amounts[0], amounts[1]);
+    if (RANGE_JOINER.test(joiner)) {
+      max = toNumber(amounts[1]);
+      if (max < amount) throw new Error(`Price range runs high to low in "${text}"`);
+    } else if (joiner !== '') {
+      throw new Error(`More than one money amount in "${text}"`);
+    }
+  }
+  return { amount, currency, min: amount, max };
+}
+
+/**
+ * Escape a string for literal use inside a RegExp.
+ * @param {string} text
+ * @returns {string}
+ */
+function escapeRegExp(text) {
+  return String(text).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Find the entries that break an ordering. Keeps the longest run of values that
+ * is already in order (not necessarily adjacent) and returns the indexes of
+ * everything else — so one pinned item yields one offender, not a cascade.
+ * @param {number[]} values
+ * @param {'asc'|'desc'} direction
+ * @returns {number[]} Indexes of out-of-order values
+ */
+function findOutOfOrder(values, direction = 'asc') {
+  const inOrder = (a, b) => (direction === 'asc' ? a <= b : a >= b);
+  const length = values.map(() => 1);
+  const prev = values.map(() => -1);
+
+  for (let i = 1; i < values.length; i++) {
+    for (let j = 0; j < i; j++) {
+      if (inOrder(values[j], values[i]) && length[j] + 1 > length[i]) {
+        length[i] = length[j] + 1;
+        prev[i] = j;
+      }
+    }
+  }
+
+  const keep = new Set();
+  let i = length.indexOf(Math.max(0, ...length));
+  while (i !== -1) {
+    keep.add(i);
+    i = prev[i];
+  }
+  return values.map((_, idx) => idx).filter((idx) => !keep.has(idx));
 }
 
 /**
@@ -105,6 +269,8 @@ module.exports = {
   dismissPopups,
   scrollToBottom,
   safeClick,
-  parsePrice,
+  parseMoney,
+  escapeRegExp,
+  findOutOfOrder,
   assertPricesInRange,
 };